@@ -8,7 +8,13 @@ const DEFAULT_STRUCTURED_TAGS_CONFIG = {
     colors: {
         label: "색상",
         values: ["흰색", "검정", "회색", "베이지", "브라운", "네이비", "블루", "그린", "올리브", "카키", "레드", "핑크"],
-        multi: true
+        multi: true,
+        // 값별 견본 색 - 이미지 대표색을 가장 가까운 값으로 연결할 때 사용
+        swatches: {
+            "흰색": "#F4F4F2", "검정": "#1C1C1E", "회색": "#8E8E93", "베이지": "#D9C4A3",
+            "브라운": "#7A5230", "네이비": "#1F2A44", "블루": "#3A6FD8", "그린": "#3C8D4F",
+            "올리브": "#6B7035", "카키": "#8A7F5A", "레드": "#C62D32", "핑크": "#F0A5B8"
+        }
     },
     shoeType: {
         label: "신발종류",
@@ -30,13 +36,69 @@ const appState = {
     // Structured filters (현재 적용된 필터)
     structuredFilters: {},
     activeFreeTags: [],
+    dateRange: { from: '', to: '' },   // 촬영일 범위 (YYYY-MM-DD, 빈 값은 제한 없음)
+    wearFilter: '',                    // 착용 기록 필터 (matchesWearFilter)
     
     filterMode: 'and',
     sortBy: 'newest',
     currentEditImageId: null,
+    editPreviewURL: null,
     currentTagPickerTarget: null,
     currentEditingCategoryKey: null,
+    categoryMigration: null,
+    trash: null,
+    triage: null,
+    statsActions: [],
+    freeTagEdit: null,
+    tagHierarchy: { parents: {}, aliases: {} },
+    savedSearches: [],
+    editingSavedSearchId: null,
+    pendingImport: null,
     useLocalStorage: false,
+
+    // Virtualized grids (createVirtualGrid)
+    grids: { search: null, archive: null },
+
+    // Multi-select (bulk edit)
+    selectMode: false,
+    selectedImageIds: new Set(),
+    bulkEdit: null,
+
+    // Image viewer
+    viewer: {
+        imageIds: [],
+        index: 0,
+        scale: 1,
+        minScale: 1,
+        baseScale: 1,
+        x: 0,
+        y: 0,
+        naturalWidth: 0,
+        naturalHeight: 0,
+        onClose: null,
+    },
+
+    duplicateGroups: [],
+
+    // Collections (수동 정렬 보드)
+    collections: [],
+    activeCollectionId: null,
+    collectionReorder: false,
+    collectionPickerImageIds: [],
+
+    // Looks (코디 = 아이템 슬롯별 이미지 조합)
+    looks: [],
+    lookBuilder: null,
+    currentLookId: null,
+
+    // Outfit suggestion ({ seed, settings, locked, items, relaxed } - openSuggestion)
+    suggestion: null,
+
+    // Wear calendar ({ year, month, selected })
+    wearCalendar: null,
+
+    // Crop & split editor (openCropEditor)
+    crop: null,
 };
 
 // ====== Initialization ======
@@ -48,8 +110,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         await initDB();
         loadStructuredTagsConfig();
         await loadAllData();
+        await purgeExpiredTrash();
+        initImageGrids();
         setupAllEventListeners();
         switchTab('search');
+        applyFilters();
+        renderArchiveGrid();
+        registerServiceWorker();
+        await importSharedFiles();
         console.log('✅ App ready!');
     } catch (error) {
         console.error('❌ Init error:', error);
@@ -71,7 +139,7 @@ function initializeViewportHeight() {
 
 async function initDB() {
     return new Promise((resolve) => {
-        const request = indexedDB.open('OutfitArchive', 2);
+        const request = indexedDB.open('OutfitArchive', 6);
         
         request.onerror = () => {
             appState.useLocalStorage = true;
@@ -91,14 +159,56 @@ async function initDB() {
             if (!db.objectStoreNames.contains('freeTags')) {
                 db.createObjectStore('freeTags', { keyPath: 'name' });
             }
+            if (!db.objectStoreNames.contains('originals')) {
+                db.createObjectStore('originals', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('collections')) {
+                db.createObjectStore('collections', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('looks')) {
+                db.createObjectStore('looks', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('trash')) {
+                db.createObjectStore('trash', { keyPath: 'id' });
+            }
+
+            // v2 → v3: 원본 data URL을 originals 스토어의 Blob으로 옮김
+            if (e.oldVersion > 0 && e.oldVersion < 3) {
+                migrateOriginalsToBlobStore(e.target.transaction);
+            }
         };
     });
 }
 
+// 업그레이드 트랜잭션 안에서 실행되므로 실패하면 v2 데이터가 그대로 남음
+function migrateOriginalsToBlobStore(transaction) {
+    const images = transaction.objectStore('images');
+    const originals = transaction.objectStore('originals');
+
+    images.openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+
+        const record = cursor.value;
+        if (typeof record.original === 'string') {
+            // 깨진 원본 하나 때문에 업그레이드 전체가 중단되지 않도록 그 레코드만 그대로 둠
+            try {
+                originals.put({ id: record.id, blob: dataURLToBlob(record.original) });
+                delete record.original;
+                cursor.update(record);
+            } catch (error) {
+                console.error('Original migration error:', record.id, error);
+            }
+        }
+        cursor.continue();
+    };
+}
+
 function loadStructuredTagsConfig() {
     const saved = localStorage.getItem('structuredTagsConfig');
     if (saved) {
         appState.structuredTagsConfig = JSON.parse(saved);
+        fillDefaultSwatches();
     } else {
         appState.structuredTagsConfig = JSON.parse(JSON.stringify(DEFAULT_STRUCTURED_TAGS_CONFIG));
         saveStructuredTagsConfig();
@@ -113,28 +223,54 @@ function loadStructuredTagsConfig() {
             appState.structuredFilters[key] = null;
         }
     }
+    renderSortOptions();
+}
+
+// 견본이 도입되기 전 저장된 설정: 기본 색상 이름과 같은 값에만 기본 견본을 채움
+function fillDefaultSwatches() {
+    const colors = appState.structuredTagsConfig.colors;
+    if (!colors || colors.swatches) return;
+
+    const defaults = DEFAULT_STRUCTURED_TAGS_CONFIG.colors.swatches;
+    const swatches = {};
+    colors.values.forEach(value => {
+        if (defaults[value]) swatches[value] = defaults[value];
+    });
+    if (Object.keys(swatches).length === 0) return;
+
+    colors.swatches = swatches;
+    saveStructuredTagsConfig();
 }
 
 function saveStructuredTagsConfig() {
+    invalidateSavedSearchCounts();
     localStorage.setItem('structuredTagsConfig', JSON.stringify(appState.structuredTagsConfig));
 }
 
 async function loadAllData() {
     appState.allImages = await dbGetAllImages();
     appState.allFreeTags = await dbGetFreeTags();
+    appState.collections = await dbGetCollections();
+    appState.looks = await dbGetLooks();
+    recalculateFreeTagFrequency();
+
+    appState.recentFreeTags = JSON.parse(localStorage.getItem('recentFreeTags') || '[]');
+    appState.savedSearches = JSON.parse(localStorage.getItem('savedSearches') || '[]');
+    appState.tagHierarchy = normalizeTagHierarchy(JSON.parse(localStorage.getItem('tagHierarchy') || 'null'));
+    updateInfoDisplay();
+}
 
+function recalculateFreeTagFrequency() {
     appState.freeTagFrequency = {};
     appState.allImages.forEach(img => {
         img.freeTags.forEach(tag => {
             appState.freeTagFrequency[tag] = (appState.freeTagFrequency[tag] || 0) + 1;
         });
     });
-
-    appState.recentFreeTags = JSON.parse(localStorage.getItem('recentFreeTags') || '[]');
-    updateInfoDisplay();
 }
 
 // ====== Database Operations ======
+// 이미지·자유 태그를 쓰는 함수는 저장된 검색의 개수 캐시도 비움 (invalidateSavedSearchCounts)
 function dbGetAllImages() {
     if (appState.useLocalStorage) {
         return Promise.resolve(JSON.parse(localStorage.getItem('images') || '[]'));
@@ -162,23 +298,42 @@ function dbGetImage(id) {
     });
 }
 
-function dbSaveImage(imageData) {
+// original: 원본 이미지 Blob (메타데이터와 별도 스토어에 저장)
+async function dbSaveImage(imageData, original) {
+    invalidateSavedSearchCounts();
     if (appState.useLocalStorage) {
         const images = JSON.parse(localStorage.getItem('images') || '[]');
-        images.push(imageData);
+        images.push(original ? { ...imageData, original: await fileToDataURL(original) } : imageData);
         localStorage.setItem('images', JSON.stringify(images));
-        return Promise.resolve(imageData.id);
+        return imageData.id;
     }
     return new Promise((resolve, reject) => {
-        const transaction = appState.db.transaction(['images'], 'readwrite');
-        const store = transaction.objectStore('images');
-        const request = store.add(imageData);
-        request.onsuccess = () => resolve(request.result);
+        const transaction = appState.db.transaction(['images', 'originals'], 'readwrite');
+        transaction.objectStore('images').add(imageData);
+        if (original) {
+            transaction.objectStore('originals').put({ id: imageData.id, blob: original });
+        }
+        transaction.oncomplete = () => resolve(imageData.id);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function dbGetOriginal(id) {
+    if (appState.useLocalStorage) {
+        const images = JSON.parse(localStorage.getItem('images') || '[]');
+        const image = images.find(img => img.id === id);
+        return Promise.resolve(image?.original ? dataURLToBlob(image.original) : null);
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['originals'], 'readonly');
+        const request = transaction.objectStore('originals').get(id);
+        request.onsuccess = () => resolve(request.result?.blob || null);
         request.onerror = () => reject(request.error);
     });
 }
 
 function dbUpdateImage(imageData) {
+    invalidateSavedSearchCounts();
     if (appState.useLocalStorage) {
         const images = JSON.parse(localStorage.getItem('images') || '[]');
         const index = images.findIndex(img => img.id === imageData.id);
@@ -195,21 +350,136 @@ function dbUpdateImage(imageData) {
     });
 }
 
-function dbDeleteImage(id) {
+// 휴지통 항목 = { id, record, original(Blob | null), collections: [{ id, index }], looks: [{ id, slot }], deletedAt }
+// 원본까지 휴지통으로 옮기고 컬렉션 소속과 코디 구성도 같은 트랜잭션에서 정리
+function dbTrashImages(entries) {
+    invalidateSavedSearchCounts();
+    const ids = new Set(entries.map(entry => entry.id));
+    if (appState.useLocalStorage) {
+        const images = JSON.parse(localStorage.getItem('images') || '[]');
+        const stored = new Map(images.map(img => [img.id, img]));
+        localStorage.setItem('images', JSON.stringify(images.filter(img => !ids.has(img.id))));
+        // localStorage에서는 원본 data URL이 record에 함께 들어 있음
+        const trash = JSON.parse(localStorage.getItem('trash') || '[]')
+            .concat(entries.map(entry => ({ ...entry, record: stored.get(entry.id) || entry.record, original: null })));
+        localStorage.setItem('trash', JSON.stringify(trash));
+        const collections = JSON.parse(localStorage.getItem('collections') || '[]');
+        collections.forEach(c => { c.imageIds = c.imageIds.filter(imageId => !ids.has(imageId)); });
+        localStorage.setItem('collections', JSON.stringify(collections));
+        const looks = JSON.parse(localStorage.getItem('looks') || '[]').map(look => [...ids].reduce(removeImageFromLook, look));
+        localStorage.setItem('looks', JSON.stringify(looks));
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['images', 'originals', 'collections', 'looks', 'trash'], 'readwrite');
+        const originals = transaction.objectStore('originals');
+        entries.forEach(entry => {
+            transaction.objectStore('images').delete(entry.id);
+            originals.get(entry.id).onsuccess = (e) => {
+                transaction.objectStore('trash').put({ ...entry, original: e.target.result?.blob || null });
+                originals.delete(entry.id);
+            };
+        });
+        transaction.objectStore('collections').openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const collection = cursor.value;
+            if (collection.imageIds.some(imageId => ids.has(imageId))) {
+                cursor.update({ ...collection, imageIds: collection.imageIds.filter(imageId => !ids.has(imageId)) });
+            }
+            cursor.continue();
+        };
+        transaction.objectStore('looks').openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (Object.values(cursor.value.items).some(imageId => ids.has(imageId))) {
+                cursor.update([...ids].reduce(removeImageFromLook, cursor.value));
+            }
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('삭제가 취소되었습니다'));
+    });
+}
+
+function dbGetTrash() {
+    if (appState.useLocalStorage) {
+        return Promise.resolve(JSON.parse(localStorage.getItem('trash') || '[]'));
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['trash'], 'readonly');
+        const request = transaction.objectStore('trash').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 휴지통에서 꺼내면서 되돌린 컬렉션·코디도 함께 저장
+function dbRestoreImages(entries, { collections = [], looks = [] } = {}) {
+    invalidateSavedSearchCounts();
+    const ids = new Set(entries.map(entry => entry.id));
     if (appState.useLocalStorage) {
-        const images = JSON.parse(localStorage.getItem('images') || '[]').filter(img => img.id !== id);
+        const images = JSON.parse(localStorage.getItem('images') || '[]').concat(entries.map(entry => entry.record));
         localStorage.setItem('images', JSON.stringify(images));
+        localStorage.setItem('trash', JSON.stringify(JSON.parse(localStorage.getItem('trash') || '[]').filter(entry => !ids.has(entry.id))));
+        const replaceById = (key, updated) => {
+            const byId = new Map(updated.map(item => [item.id, item]));
+            localStorage.setItem(key, JSON.stringify(JSON.parse(localStorage.getItem(key) || '[]').map(item => byId.get(item.id) || item)));
+        };
+        replaceById('collections', collections);
+        replaceById('looks', looks);
         return Promise.resolve();
     }
     return new Promise((resolve, reject) => {
-        const transaction = appState.db.transaction(['images'], 'readwrite');
-        const store = transaction.objectStore('images');
-        const request = store.delete(id);
-        request.onsuccess = () => resolve();
+        const transaction = appState.db.transaction(['images', 'originals', 'collections', 'looks', 'trash'], 'readwrite');
+        entries.forEach(({ id, record, original }) => {
+            transaction.objectStore('images').put(record);
+            if (original) transaction.objectStore('originals').put({ id, blob: original });
+            transaction.objectStore('trash').delete(id);
+        });
+        collections.forEach(collection => transaction.objectStore('collections').put(collection));
+        looks.forEach(look => transaction.objectStore('looks').put(look));
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('복원이 취소되었습니다'));
+    });
+}
+
+// 원본 Blob 크기 합 (커서로 하나씩 세어 한꺼번에 읽지 않음)
+function dbGetOriginalsSize() {
+    if (appState.useLocalStorage) {
+        const images = JSON.parse(localStorage.getItem('images') || '[]');
+        return Promise.resolve(images.reduce((sum, img) => sum + (img.original?.length || 0), 0));
+    }
+    return new Promise((resolve, reject) => {
+        let total = 0;
+        const request = appState.db.transaction(['originals'], 'readonly').objectStore('originals').openCursor();
+        request.onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) {
+                resolve(total);
+                return;
+            }
+            total += cursor.value.blob?.size || 0;
+            cursor.continue();
+        };
         request.onerror = () => reject(request.error);
     });
 }
 
+function dbPurgeTrash(ids) {
+    if (appState.useLocalStorage) {
+        const removed = new Set(ids);
+        localStorage.setItem('trash', JSON.stringify(JSON.parse(localStorage.getItem('trash') || '[]').filter(entry => !removed.has(entry.id))));
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['trash'], 'readwrite');
+        ids.forEach(id => transaction.objectStore('trash').delete(id));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
 function dbGetFreeTags() {
     if (appState.useLocalStorage) {
         return Promise.resolve(JSON.parse(localStorage.getItem('freeTags') || '[]'));
@@ -227,6 +497,7 @@ function dbGetFreeTags() {
 }
 
 function dbSaveFreeTags(tags) {
+    invalidateSavedSearchCounts();
     if (appState.useLocalStorage) {
         localStorage.setItem('freeTags', JSON.stringify(tags));
         return Promise.resolve();
@@ -241,15 +512,178 @@ function dbSaveFreeTags(tags) {
     });
 }
 
+// 여러 이미지(와 코디)를 한 트랜잭션으로 저장. freeTags를 주면 태그 목록도 통째로 교체
+// (태그 이름 변경·합치기, 구조화 카테고리 값 정리)
+function dbUpdateImages(images, { freeTags = null, looks = [] } = {}) {
+    invalidateSavedSearchCounts();
+    if (appState.useLocalStorage) {
+        const byId = new Map(images.map(img => [img.id, img]));
+        const stored = JSON.parse(localStorage.getItem('images') || '[]')
+            .map(img => byId.has(img.id) ? { ...img, ...byId.get(img.id) } : img);
+        localStorage.setItem('images', JSON.stringify(stored));
+        if (freeTags) localStorage.setItem('freeTags', JSON.stringify(freeTags));
+        if (looks.length > 0) {
+            const looksById = new Map(looks.map(look => [look.id, look]));
+            const storedLooks = JSON.parse(localStorage.getItem('looks') || '[]').map(look => looksById.get(look.id) || look);
+            localStorage.setItem('looks', JSON.stringify(storedLooks));
+        }
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['images', 'freeTags', 'looks'], 'readwrite');
+        images.forEach(img => transaction.objectStore('images').put(img));
+        looks.forEach(look => transaction.objectStore('looks').put(look));
+        if (freeTags) {
+            const store = transaction.objectStore('freeTags');
+            store.clear();
+            freeTags.forEach(tag => store.add({ name: tag }));
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('저장이 취소되었습니다'));
+    });
+}
+
+function dbGetCollections() {
+    if (appState.useLocalStorage) {
+        return Promise.resolve(JSON.parse(localStorage.getItem('collections') || '[]'));
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['collections'], 'readonly');
+        const request = transaction.objectStore('collections').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function dbSaveCollection(collection) {
+    if (appState.useLocalStorage) {
+        const collections = JSON.parse(localStorage.getItem('collections') || '[]').filter(c => c.id !== collection.id);
+        collections.push(collection);
+        localStorage.setItem('collections', JSON.stringify(collections));
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['collections'], 'readwrite');
+        transaction.objectStore('collections').put(collection);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function dbDeleteCollection(id) {
+    if (appState.useLocalStorage) {
+        const collections = JSON.parse(localStorage.getItem('collections') || '[]').filter(c => c.id !== id);
+        localStorage.setItem('collections', JSON.stringify(collections));
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['collections'], 'readwrite');
+        transaction.objectStore('collections').delete(id);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function dbGetLooks() {
+    if (appState.useLocalStorage) {
+        return Promise.resolve(JSON.parse(localStorage.getItem('looks') || '[]'));
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['looks'], 'readonly');
+        const request = transaction.objectStore('looks').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function dbSaveLook(look) {
+    if (appState.useLocalStorage) {
+        const looks = JSON.parse(localStorage.getItem('looks') || '[]').filter(l => l.id !== look.id);
+        looks.push(look);
+        localStorage.setItem('looks', JSON.stringify(looks));
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['looks'], 'readwrite');
+        transaction.objectStore('looks').put(look);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function dbDeleteLook(id) {
+    if (appState.useLocalStorage) {
+        const looks = JSON.parse(localStorage.getItem('looks') || '[]').filter(l => l.id !== id);
+        localStorage.setItem('looks', JSON.stringify(looks));
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['looks'], 'readwrite');
+        transaction.objectStore('looks').delete(id);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// 가져오기를 한 트랜잭션으로 적용 (실패 시 전체 롤백)
+// lists: 적용 후의 전체 목록 { freeTags, collections, looks } - 해당 스토어를 비우고 다시 씀
+async function dbApplyImport(replace, entries, lists) {
+    invalidateSavedSearchCounts();
+    if (appState.useLocalStorage) {
+        const byId = new Map(replace ? [] : JSON.parse(localStorage.getItem('images') || '[]').map(img => [img.id, img]));
+        for (const { record, original } of entries) {
+            byId.set(record.id, original ? { ...record, original: await fileToDataURL(original) } : record);
+        }
+        localStorage.setItem('images', JSON.stringify([...byId.values()]));
+        Object.entries(lists).forEach(([name, list]) => localStorage.setItem(name, JSON.stringify(list)));
+        return;
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = appState.db.transaction(['images', 'originals', ...Object.keys(lists)], 'readwrite');
+        const images = transaction.objectStore('images');
+        const originals = transaction.objectStore('originals');
+
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('가져오기가 취소되었습니다'));
+
+        try {
+            if (replace) {
+                images.clear();
+                originals.clear();
+            }
+            entries.forEach(({ record, original }) => {
+                images.put(record);
+                if (original) {
+                    originals.put({ id: record.id, blob: original });
+                } else {
+                    originals.delete(record.id);
+                }
+            });
+            Object.entries(lists).forEach(([name, list]) => {
+                const store = transaction.objectStore(name);
+                store.clear();
+                // freeTags 스토어는 { name } 레코드
+                list.forEach(item => store.put(name === 'freeTags' ? { name: item } : item));
+            });
+        } catch (error) {
+            // 요청을 만드는 중 예외(저장할 수 없는 값 등)가 나면 이미 요청한 변경도 취소
+            transaction.abort();
+            reject(error);
+        }
+    });
+}
+
+// 휴지통은 남김 (초기화한 이미지도 보관 기간 동안은 되살릴 수 있게)
 function dbClearAll() {
+    invalidateSavedSearchCounts();
     if (appState.useLocalStorage) {
-        localStorage.clear();
+        clearLocalStorageExceptTrash();
         return Promise.resolve();
     }
     return new Promise((resolve, reject) => {
-        const transaction = appState.db.transaction(['images', 'freeTags'], 'readwrite');
-        transaction.objectStore('images').clear();
-        transaction.objectStore('freeTags').clear();
+        const stores = ['images', 'originals', 'freeTags', 'collections', 'looks'];
+        const transaction = appState.db.transaction(stores, 'readwrite');
+        stores.forEach(name => transaction.objectStore(name).clear());
         transaction.oncomplete = () => resolve();
         transaction.onerror = () => reject(transaction.error);
     });
@@ -276,7 +710,9 @@ function setupAllEventListeners() {
                 clearBtn.style.display = searchInput.value ? 'flex' : 'none';
             }
             applyFilters();
+            renderSearchSuggestions();
         });
+        setupSearchAutocomplete(searchInput);
     }
 
     const searchClearBtn = document.getElementById('searchClearBtn');
@@ -284,6 +720,7 @@ function setupAllEventListeners() {
         searchClearBtn.addEventListener('click', () => {
             searchInput.value = '';
             searchClearBtn.style.display = 'none';
+            hideSearchSuggestions();
             applyFilters();
         });
     }
@@ -313,6 +750,27 @@ function setupAllEventListeners() {
         });
     }
 
+    // 촬영일 범위
+    ['from', 'to'].forEach(bound => {
+        document.getElementById(bound === 'from' ? 'dateFrom' : 'dateTo')?.addEventListener('change', (e) => {
+            appState.dateRange[bound] = e.target.value;
+            applyFilters();
+        });
+    });
+    document.getElementById('dateRangeClear')?.addEventListener('click', () => {
+        appState.dateRange = { from: '', to: '' };
+        applyFilters();
+    });
+    document.getElementById('wearFilter')?.addEventListener('change', (e) => {
+        appState.wearFilter = e.target.value;
+        applyFilters();
+    });
+
+    // Saved Searches
+    document.getElementById('savedSearchCancelBtn')?.addEventListener('click', () => closeModal('savedSearchModal'));
+    document.getElementById('savedSearchSaveBtn')?.addEventListener('click', saveSavedSearch);
+    document.getElementById('savedSearchDeleteBtn')?.addEventListener('click', deleteSavedSearch);
+
     const tagPickerBtn = document.getElementById('tagPickerBtn');
     if (tagPickerBtn) {
         tagPickerBtn.addEventListener('click', () => {
@@ -373,6 +831,10 @@ function setupAllEventListeners() {
         addStructuredCategoryBtn.addEventListener('click', openAddCategoryModal);
     }
 
+    document.getElementById('categoryValuesInput')?.addEventListener('input', renderCategoryMigration);
+    document.getElementById('categoryMultiSelect')?.addEventListener('change', renderCategoryMigration);
+    document.getElementById('categoryTypeSelect')?.addEventListener('change', updateCategoryTypeForm);
+
     const categoryModalCancelBtn = document.getElementById('categoryModalCancelBtn');
     if (categoryModalCancelBtn) {
         categoryModalCancelBtn.addEventListener('click', () => {
@@ -413,12 +875,23 @@ function setupAllEventListeners() {
         });
     }
 
+    setupTagTreeDrag(document.getElementById('tagsList'));
+
+    document.getElementById('freeTagMergeSearch')?.addEventListener('input', renderFreeTagEdit);
+    document.getElementById('freeTagTargetInput')?.addEventListener('input', renderFreeTagEditPreview);
+    document.getElementById('freeTagEditApplyBtn')?.addEventListener('click', applyFreeTagEdit);
+
     // Settings
     const exportBtn = document.getElementById('exportBtn');
     if (exportBtn) {
         exportBtn.addEventListener('click', exportData);
     }
 
+    const exportZipBtn = document.getElementById('exportZipBtn');
+    if (exportZipBtn) {
+        exportZipBtn.addEventListener('click', exportZipData);
+    }
+
     const importBtn = document.getElementById('importBtn');
     const importFile = document.getElementById('importFile');
     if (importBtn && importFile) {
@@ -426,10 +899,13 @@ function setupAllEventListeners() {
         importFile.addEventListener('change', importData);
     }
 
+    document.getElementById('importCancelBtn')?.addEventListener('click', cancelImport);
+    document.getElementById('importApplyBtn')?.addEventListener('click', applyImport);
+
     const resetBtn = document.getElementById('resetBtn');
     if (resetBtn) {
         resetBtn.addEventListener('click', () => {
-            if (confirm('모든 데이터를 삭제하시겠습니까?')) {
+            if (confirm(`모든 데이터를 삭제하시겠습니까?\n이미지는 휴지통에 ${getTrashRetentionDays()}일 동안 보관됩니다.`)) {
                 resetAll();
             }
         });
@@ -453,12 +929,47 @@ function setupAllEventListeners() {
     if (editDeleteBtn) {
         editDeleteBtn.addEventListener('click', () => {
             const imageId = parseInt(document.getElementById('editPreviewImage').dataset.id);
-            if (confirm('이미지를 삭제하시겠습니까?')) {
+            if (confirm('이미지를 휴지통으로 옮기시겠습니까?')) {
                 deleteImage(imageId);
             }
         });
     }
 
+    // Multi-select
+    setupSelectModeEventListeners();
+
+    // Image Viewer
+    setupViewerEventListeners();
+
+    // Crop & Split
+    setupCropEventListeners();
+
+    // Collections
+    setupCollectionEventListeners();
+
+    // Looks
+    setupLookEventListeners();
+    setupTrashEventListeners();
+    setupTimelineEventListeners();
+    setupInboxEventListeners();
+    setupWearEventListeners();
+    setupSuggestionEventListeners();
+
+    // Statistics
+    document.getElementById('statsBtn')?.addEventListener('click', openStats);
+
+    // Duplicate Detection
+    document.getElementById('findDuplicatesBtn')?.addEventListener('click', openDuplicatesFinder);
+
+    // Color Suggestions
+    const autoColorTags = document.getElementById('autoColorTags');
+    if (autoColorTags) {
+        autoColorTags.checked = isAutoColorTaggingEnabled();
+        autoColorTags.addEventListener('change', () => {
+            localStorage.setItem('autoColorTags', autoColorTags.checked ? 'true' : 'false');
+        });
+    }
+
     // Confirm Modal
     const confirmCancelBtn = document.getElementById('confirmCancelBtn');
     if (confirmCancelBtn) {
@@ -492,6 +1003,8 @@ function setupAllEventListeners() {
 }
 
 function switchTab(tabName) {
+    if (appState.selectMode) exitSelectMode();
+
     document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
     document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
 
@@ -501,11 +1014,23 @@ function switchTab(tabName) {
     if (tabContent) tabContent.classList.add('active');
     if (tabBtn) tabBtn.classList.add('active');
 
-    const titles = { search: '검색', archive: '보관함', tags: '태그', settings: '설정' };
+    const titles = { search: '검색', archive: '보관함', looks: '코디', tags: '태그', settings: '설정' };
     const titleEl = document.querySelector('.header-title');
     if (titleEl) titleEl.textContent = titles[tabName];
 
-    if (tabName === 'tags') {
+    const editModeBtn = document.getElementById('editModeBtn');
+    if (editModeBtn) {
+        editModeBtn.style.display = (tabName === 'search' || tabName === 'archive') ? 'block' : 'none';
+    }
+
+    // 숨겨진 동안 미뤄 둔 그리드 렌더링
+    refreshImageGrids();
+
+    if (tabName !== 'archive') setCollectionReorder(false);
+
+    if (tabName === 'looks') {
+        renderLooks();
+    } else if (tabName === 'tags') {
         renderStructuredTagsList();
         renderTagsList();
     } else if (tabName === 'search') {
@@ -522,12 +1047,18 @@ function renderStructuredTagsList() {
 
     for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
         const modeLabel = config.multi ? '다중' : '단일';
+        const used = appState.allImages.filter(img => getStructuredValueList(img, key).length > 0).length;
+        const info = isChoiceCategory(config) ? `
+            <div class="category-meta">${modeLabel} · ${config.values.length}개 값</div>
+            <div class="category-values">${config.values.map(v => renderSwatchDot(config, v) + v).join(', ')}</div>
+        ` : `
+            <div class="category-meta">${CATEGORY_TYPES[getCategoryType(config)]} 입력 · 이미지 ${used}개에 입력됨</div>
+        `;
         html += `
             <div class="structured-category-item">
                 <div class="category-info">
                     <div class="category-name">${config.label}</div>
-                    <div class="category-meta">${modeLabel} · ${config.values.length}개 값</div>
-                    <div class="category-values">${config.values.join(', ')}</div>
+                    ${info}
                 </div>
                 <div class="category-actions">
                     <button class="btn-sm" onclick="openEditCategoryModal('${key}')">수정</button>
@@ -542,41 +1073,179 @@ function renderStructuredTagsList() {
 
 function openAddCategoryModal() {
     appState.currentEditingCategoryKey = null;
+    appState.categoryMigration = null;
     document.getElementById('categoryModalTitle').textContent = '카테고리 추가';
     document.getElementById('categoryNameInput').value = '';
+    document.getElementById('categoryTypeSelect').value = 'choice';
+    document.getElementById('categoryTypeSelect').disabled = false;
     document.getElementById('categoryMultiSelect').value = 'false';
     document.getElementById('categoryValuesInput').value = '';
+    updateCategoryTypeForm();
     openModal('editCategoryModal');
 }
 
 function openEditCategoryModal(key) {
     const config = appState.structuredTagsConfig[key];
     appState.currentEditingCategoryKey = key;
+    appState.categoryMigration = { mapping: {} };
     document.getElementById('categoryModalTitle').textContent = '카테고리 수정';
     document.getElementById('categoryNameInput').value = config.label;
+    // 종류는 만들 때만 고를 수 있음 (저장된 값의 형식이 달라지므로)
+    document.getElementById('categoryTypeSelect').value = getCategoryType(config);
+    document.getElementById('categoryTypeSelect').disabled = true;
     document.getElementById('categoryMultiSelect').value = config.multi.toString();
-    document.getElementById('categoryValuesInput').value = config.values.join('\n');
+    document.getElementById('categoryValuesInput').value = config.values
+        .map(v => config.swatches?.[v] ? `${v} ${config.swatches[v]}` : v)
+        .join('\n');
+    updateCategoryTypeForm();
     openModal('editCategoryModal');
 }
 
-function saveCategory() {
-    const name = document.getElementById('categoryNameInput').value.trim();
-    const multi = document.getElementById('categoryMultiSelect').value === 'true';
-    const valuesText = document.getElementById('categoryValuesInput').value.trim();
+// "검정 #1C1C1E"처럼 줄 끝에 견본 색을 붙일 수 있음
+function parseCategoryValues(valuesText) {
+    const values = [];
+    const swatches = {};
+    valuesText.split('\n').map(v => v.trim()).filter(v => v).forEach(line => {
+        const match = line.match(/^(.+?)\s+(#[0-9a-f]{6}|#[0-9a-f]{3})$/i);
+        const value = match ? match[1].trim() : line;
+        if (match) swatches[value] = normalizeHexColor(match[2]);
+        if (!values.includes(value)) values.push(value);
+    });
+    return { values, swatches };
+}
+
+// 새 값 목록에 없는 값 = 기존 설정에서 빠진 값 + 이미지에만 남아 있던 값
+function getRemovedCategoryValues(key, values) {
+    const found = new Set(appState.structuredTagsConfig[key].values);
+    appState.allImages.forEach(img => getStructuredValueList(img, key).forEach(value => found.add(value)));
+    return [...found].filter(value => !values.includes(value));
+}
+
+// 빠진 값의 기본 처리: 같은 자리에 새로 생긴 값이 있으면 이름 변경으로 봄, 아니면 지움
+function getDefaultCategoryMapping(key, values, removed) {
+    const oldValues = appState.structuredTagsConfig[key].values;
+    const mapping = {};
+    removed.forEach(value => {
+        const index = oldValues.indexOf(value);
+        const sameCase = values.find(v => v.toLowerCase() === value.toLowerCase());
+        if (sameCase) {
+            mapping[value] = sameCase;
+        } else if (index !== -1 && values[index] && !oldValues.includes(values[index])) {
+            mapping[value] = values[index];
+        } else {
+            mapping[value] = '';
+        }
+    });
+    return mapping;
+}
+
+// 값 목록·선택 모드 변경을 이미지에 적용한 결과. mapping: { 빠진 값: 새 값 | '' (지움) }
+function planCategoryChange(key, { values, multi }, mapping) {
+    const convertList = list => [...new Set(list.map(value => values.includes(value) ? value : mapping[value]).filter(Boolean))]
+        .sort((a, b) => values.indexOf(a) - values.indexOf(b));
+
+    const changes = [];
+    let collapsed = 0;
+    appState.allImages.forEach(img => {
+        const current = img.structuredTags[key];
+        const list = convertList(getStructuredValueList(img, key));
+        // 다중 → 단일: 값이 여러 개면 목록 순서상 첫 번째만 남김
+        if (!multi && list.length > 1) collapsed++;
+        const value = multi ? list : (list[0] ?? null);
+        if (current !== undefined && canonicalJSON(current) !== canonicalJSON(value)) {
+            changes.push({ img, value });
+        }
+    });
+
+    return { changes, collapsed, convertList };
+}
+
+function readCategoryForm() {
+    return {
+        name: document.getElementById('categoryNameInput').value.trim(),
+        type: document.getElementById('categoryTypeSelect').value,
+        multi: document.getElementById('categoryMultiSelect').value === 'true',
+        ...parseCategoryValues(document.getElementById('categoryValuesInput').value),
+    };
+}
 
-    if (!name || !valuesText) {
-        showToast('카테고리명과 값을 입력해주세요');
+// 수정 중 값이 빠지거나 선택 모드가 바뀌면 이미지 값을 어떻게 옮길지 보여줌
+function renderCategoryMigration() {
+    const container = document.getElementById('categoryMigration');
+    const key = appState.currentEditingCategoryKey;
+    if (!container) return;
+    if (!key || !appState.categoryMigration || !isChoiceCategory(appState.structuredTagsConfig[key])) {
+        container.style.display = 'none';
         return;
     }
 
-    const values = valuesText.split('\n').map(v => v.trim()).filter(v => v);
+    const form = readCategoryForm();
+    const removed = getRemovedCategoryValues(key, form.values);
+    const mapping = { ...getDefaultCategoryMapping(key, form.values, removed), ...appState.categoryMigration.mapping };
+    const plan = planCategoryChange(key, form, mapping);
+    const oldConfig = appState.structuredTagsConfig[key];
+
+    const usage = value => appState.allImages.filter(img => getStructuredValueList(img, key).includes(value)).length;
+    const rows = removed.map(value => `
+        <div class="category-migration-row">
+            <span class="category-migration-value">${value} <small>${usage(value)}개</small></span>
+            <select class="form-input" onchange="setCategoryMigration('${value}', this.value)">
+                <option value="" ${!mapping[value] ? 'selected' : ''}>값 지우기</option>
+                ${form.values.map(v => `<option value="${v}" ${mapping[value] === v ? 'selected' : ''}>→ ${v}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+
+    const notes = [];
+    if (oldConfig.multi !== form.multi) {
+        notes.push(form.multi ? '단일 → 다중: 기존 값은 그대로 하나씩 선택된 상태가 돼요' : '다중 → 단일: 값이 여러 개인 이미지는 목록에서 가장 위의 값만 남아요');
+    }
+    if (plan.collapsed > 0) notes.push(`값이 여러 개인 이미지 ${plan.collapsed}개`);
+    notes.push(`이미지 ${plan.changes.length}개 변경`);
+
+    container.style.display = removed.length > 0 || oldConfig.multi !== form.multi ? 'block' : 'none';
+    container.innerHTML = `
+        ${removed.length > 0 ? '<div class="category-migration-title">빠진 값 처리 (같은 값으로 옮기면 합쳐짐)</div>' : ''}
+        ${rows}
+        <p class="category-migration-summary">${notes.join('<br>')}</p>
+    `;
+}
+
+function setCategoryMigration(value, target) {
+    if (!appState.categoryMigration) return;
+    appState.categoryMigration.mapping[value] = target;
+    renderCategoryMigration();
+}
+
+async function saveCategory() {
+    const { name, type, multi, values, swatches } = readCategoryForm();
+    const isChoice = type === 'choice';
 
-    if (values.length === 0) {
-        showToast('최소 1개 이상의 값이 필요합니다');
+    if (!name || (isChoice && values.length === 0)) {
+        showToast(isChoice ? '카테고리명과 값을 입력해주세요' : '카테고리명을 입력해주세요');
         return;
     }
 
     let key = appState.currentEditingCategoryKey;
+    let plan = null;
+
+    if (!isChoice) {
+        // 필드 카테고리는 이름만 바뀜 (이미지 값은 그대로)
+        if (!key) {
+            key = name.toLowerCase().replace(/\s+/g, '_');
+            if (appState.structuredTagsConfig[key]) {
+                showToast('같은 이름의 카테고리가 이미 있습니다');
+                return;
+            }
+            appState.structuredFilters[key] = null;
+        }
+        appState.structuredTagsConfig[key] = { label: name, type, values: [], multi: false };
+        appState.categoryMigration = null;
+        closeModal('editCategoryModal');
+        refreshAfterCategoryChange();
+        showToast('저장됨');
+        return;
+    }
 
     if (!key) {
         // 새 카테고리 추가
@@ -586,478 +1255,5626 @@ function saveCategory() {
             return;
         }
     } else {
-        // 기존 카테고리 수정 - 이미지의 구조화 태그 업데이트
-        const oldConfig = appState.structuredTagsConfig[key];
-        if (oldConfig.label !== name) {
-            // 이름이 변경되면 모든 이미지에서 빈값으로 리셋
-            appState.allImages.forEach(img => {
-                img.structuredTags[key] = multi ? [] : null;
+        // 기존 카테고리 수정 - 빠진 값은 지정한 값으로 옮기고, 선택 모드가 바뀌면 값 형태를 변환
+        const removed = getRemovedCategoryValues(key, values);
+        const mapping = { ...getDefaultCategoryMapping(key, values, removed), ...appState.categoryMigration?.mapping };
+        plan = planCategoryChange(key, { values, multi }, mapping);
+
+        // 아이템 카테고리 값은 코디의 슬롯 이름이기도 함
+        const renameSlot = slot => mapping[slot] || slot;
+        const looks = key !== 'itemCategory' ? [] : appState.looks
+            .filter(look => Object.keys(look.items).some(slot => mapping[slot]))
+            .map(look => {
+                const items = {};
+                Object.entries(look.items).forEach(([slot, id]) => {
+                    if (!(renameSlot(slot) in items)) items[renameSlot(slot)] = id;
+                });
+                return { ...look, items };
             });
+
+        try {
+            await dbUpdateImages(plan.changes.map(({ img, value }) => ({
+                ...img,
+                structuredTags: { ...img.structuredTags, [key]: value },
+            })), { looks });
+        } catch (error) {
+            console.error('Category migration error:', error);
+            showToast('저장하지 못했어요 (변경 없음)');
+            return;
         }
+
+        plan.changes.forEach(({ img, value }) => { img.structuredTags[key] = value; });
+        looks.forEach(look => {
+            appState.looks = appState.looks.map(l => l.id === look.id ? look : l);
+        });
     }
 
+    const previousConfig = appState.structuredTagsConfig[key];
     appState.structuredTagsConfig[key] = {
         label: name,
         values: values,
         multi: multi
     };
+    // 견본을 모두 지운 경우에도 빈 객체를 남겨 기본 견본이 다시 채워지지 않게 함
+    if (Object.keys(swatches).length > 0 || previousConfig?.swatches) {
+        appState.structuredTagsConfig[key].swatches = swatches;
+    }
 
-    // 필터 초기화
-    if (multi) {
-        appState.structuredFilters[key] = [];
-    } else {
-        appState.structuredFilters[key] = null;
+    // 현재 필터와 저장된 검색의 값도 같은 규칙으로 옮김
+    const convertFilter = filter => {
+        const list = plan ? plan.convertList(Array.isArray(filter) ? filter : (filter ? [filter] : [])) : [];
+        return multi ? list : (list[0] ?? null);
+    };
+    appState.structuredFilters[key] = convertFilter(appState.structuredFilters[key]);
+    if (plan) {
+        appState.savedSearches.forEach(search => {
+            if (key in search.structuredFilters) search.structuredFilters[key] = convertFilter(search.structuredFilters[key]);
+        });
+        saveSavedSearches();
     }
 
-    saveStructuredTagsConfig();
+    appState.categoryMigration = null;
     closeModal('editCategoryModal');
-    renderStructuredTagsList();
-    applyFilters();
-    renderStructuredFilters();
-    showToast('저장됨');
+    refreshAfterCategoryChange();
+    showToast(plan && plan.changes.length > 0 ? `저장됨 · 이미지 ${plan.changes.length}개 변경` : '저장됨');
 }
 
-function deleteCategory(key) {
+async function deleteCategory(key) {
     const config = appState.structuredTagsConfig[key];
-    if (confirm(`카테고리 '${config.label}'을(를) 삭제하시겠습니까?`)) {
-        // 이미지에서 이 카테고리 제거
-        appState.allImages.forEach(img => {
-            delete img.structuredTags[key];
-        });
+    const targets = appState.allImages.filter(img => key in img.structuredTags);
+    const used = targets.filter(img => getStructuredValueList(img, key).length > 0).length;
+    const message = used > 0
+        ? `카테고리 '${config.label}'을(를) 삭제하시겠습니까?\n이미지 ${used}개에서 이 값이 지워집니다.`
+        : `카테고리 '${config.label}'을(를) 삭제하시겠습니까?`;
+    if (!confirm(message)) return;
+
+    // 이미지에서 이 카테고리 제거 (한 트랜잭션으로 저장한 뒤 메모리에 반영)
+    const before = targets.map(img => [img, img.structuredTags[key]]);
+    const withoutKey = img => {
+        const { [key]: removed, ...structuredTags } = img.structuredTags;
+        return structuredTags;
+    };
+    try {
+        await dbUpdateImages(targets.map(img => ({ ...img, structuredTags: withoutKey(img) })));
+    } catch (error) {
+        console.error('Delete category error:', error);
+        showToast('삭제하지 못했어요 (변경 없음)');
+        return;
+    }
+    targets.forEach(img => { img.structuredTags = withoutKey(img); });
 
-        delete appState.structuredTagsConfig[key];
-        delete appState.structuredFilters[key];
+    const position = Object.keys(appState.structuredTagsConfig).indexOf(key);
+    delete appState.structuredTagsConfig[key];
+    delete appState.structuredFilters[key];
+    refreshAfterCategoryChange();
 
-        saveStructuredTagsConfig();
-        renderStructuredTagsList();
-        applyFilters();
-        renderStructuredFilters();
-        showToast('카테고리 삭제됨');
-    }
+    showToast('카테고리 삭제됨', async () => {
+        if (appState.structuredTagsConfig[key]) {
+            showToast('같은 카테고리가 다시 만들어져 되돌릴 수 없어요');
+            return;
+        }
+        const alive = before.filter(([img]) => appState.allImages.includes(img));
+        await dbUpdateImages(alive.map(([img, value]) => ({ ...img, structuredTags: { ...img.structuredTags, [key]: value } })));
+        alive.forEach(([img, value]) => { img.structuredTags[key] = value; });
+
+        // 원래 자리에 다시 넣음
+        const entries = Object.entries(appState.structuredTagsConfig);
+        entries.splice(position, 0, [key, config]);
+        appState.structuredTagsConfig = Object.fromEntries(entries);
+        appState.structuredFilters[key] = config.multi ? [] : null;
+        refreshAfterCategoryChange();
+        showToast(`'${config.label}' 되돌림`);
+    });
 }
 
-// ====== Tags Tab - Free Tags ======
-function renderTagsList() {
-    const list = document.getElementById('tagsList');
-    const empty = document.getElementById('tagsEmptyState');
-    const searchQuery = document.getElementById('tagsSearchInput')?.value.toLowerCase() || '';
-    const sortBy = document.getElementById('tagsSortBy')?.value || 'frequency';
+function refreshAfterCategoryChange() {
+    saveStructuredTagsConfig();
+    renderSortOptions();
+    renderStructuredTagsList();
+    applyFilters();
+    renderStructuredFilters();
+}
 
-    if (!list || !empty) return;
+// ====== Category Fields ======
+// 값 목록에서 고르는 카테고리(choice) 외에 이미지마다 직접 입력하는 필드 카테고리
+// 값은 structuredTags[key]에 저장: text·url·date(YYYY-MM-DD)는 문자열, number·rating(1~5)은 숫자, 비었으면 null
+const CATEGORY_TYPES = {
+    choice: '값 선택',
+    text: '텍스트',
+    number: '숫자',
+    url: 'URL',
+    date: '날짜',
+    rating: '별점 (1~5)',
+};
+// 범위로 거를 수 있는 필드
+const RANGE_FIELD_TYPES = ['number', 'rating', 'date'];
+const SORTABLE_FIELD_TYPES = ['text', 'number', 'rating', 'date'];
 
-    let tags = [...appState.allFreeTags];
+function getCategoryType(config) {
+    return config.type || 'choice';
+}
 
-    if (searchQuery) {
-        tags = tags.filter(tag => tag.toLowerCase().includes(searchQuery));
-    }
+function isChoiceCategory(config) {
+    return getCategoryType(config) === 'choice';
+}
 
-    if (sortBy === 'frequency') {
-        tags.sort((a, b) => (appState.freeTagFrequency[b] || 0) - (appState.freeTagFrequency[a] || 0));
-    } else {
-        tags.sort();
+// 입력값 → 저장할 값 (형식에 맞지 않으면 null)
+function normalizeFieldValue(config, raw) {
+    const text = String(raw ?? '').trim();
+    if (!text) return null;
+    switch (getCategoryType(config)) {
+        case 'number': {
+            const number = Number(text.replace(/,/g, ''));
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'rating': {
+            const rating = Math.round(Number(text));
+            return rating >= 1 && rating <= 5 ? rating : null;
+        }
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : null;
+        case 'url':
+            return toSafeURL(text);
+        default:
+            return text;
     }
+}
 
-    if (tags.length === 0) {
-        list.innerHTML = '';
-        empty.style.display = 'block';
-        return;
+// http(s) 주소만 허용 (javascript:, data: 등은 null). 스킴이 없으면 https://를 붙임
+// 가져온 백업의 값도 거치도록 링크를 그릴 때도 사용
+function toSafeURL(text) {
+    const candidate = /^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`;
+    try {
+        const { protocol } = new URL(candidate);
+        return protocol === 'http:' || protocol === 'https:' ? candidate : null;
+    } catch (error) {
+        return null;
     }
+}
 
-    empty.style.display = 'none';
+function formatFieldValue(config, value) {
+    if (value === null || value === undefined || value === '') return '';
+    switch (getCategoryType(config)) {
+        case 'number': return Number(value).toLocaleString('ko-KR');
+        case 'rating': return '★'.repeat(value) + '☆'.repeat(5 - value);
+        default: return String(value);
+    }
+}
 
-    list.innerHTML = tags.map(tag => `
-        <div class="tag-list-item">
-            <div class="tag-list-item-left" onclick="addFreeTagToSearch('${tag}')">
-                <span class="tag-list-item-name">${tag}</span>
-                <span class="tag-item-usage">${appState.freeTagFrequency[tag] || 0}개</span>
-            </div>
-            <div class="tag-list-item-right">
-                <button class="btn-sm btn-danger" style="padding: 4px 8px; font-size: 12px;" onclick="deleteFreeTags('${tag}')">삭제</button>
+function renderStructuredFieldInput(key, config, value) {
+    const type = getCategoryType(config);
+    if (type === 'rating') {
+        return `
+            <div class="field-rating">
+                ${[1, 2, 3, 4, 5].map(n => `
+                    <button class="field-rating-star ${value >= n ? 'selected' : ''}" onclick="setStructuredRatingInEdit('${key}', ${n})">★</button>
+                `).join('')}
             </div>
+        `;
+    }
+
+    const inputType = { number: 'number', url: 'url', date: 'date' }[type] || 'text';
+    const safeURL = type === 'url' && value ? toSafeURL(String(value)) : null;
+    const link = safeURL
+        ? `<a class="field-url-open" href="${escapeHTML(safeURL)}" target="_blank" rel="noopener">열기</a>`
+        : '';
+    return `
+        <div class="field-input-row">
+            <input type="${inputType}" class="form-input" value="${escapeHTML(value ?? '')}"
+                   ${type === 'number' ? 'inputmode="decimal" step="any"' : ''}
+                   onchange="setStructuredFieldInEdit('${key}', this.value)">
+            ${link}
         </div>
-    `).join('');
+    `;
 }
 
-// ====== Search Tab - Structured Filters ======
-function renderStructuredFilters() {
-    const container = document.getElementById('structuredFilters');
-    if (!container) return;
-
-    let html = '';
+// 입력 중 다시 그리면 포커스가 사라지므로 값만 바꿈
+function setStructuredFieldInEdit(key, raw) {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    const config = appState.structuredTagsConfig[key];
+    if (!image || !config) return;
+    image.structuredTags[key] = normalizeFieldValue(config, raw);
+    saveTriageChange(image);
+}
 
-    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
-        const currentValue = appState.structuredFilters[key];
-        let filterDisplay = '';
+function setStructuredRatingInEdit(key, rating) {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (!image) return;
+    image.structuredTags[key] = image.structuredTags[key] === rating ? null : rating;
+    renderEditStructuredTags(image.structuredTags);
+    saveTriageChange(image);
+}
 
-        if (config.multi && Array.isArray(currentValue) && currentValue.length > 0) {
-            filterDisplay = currentValue.map(v => `<span class="filter-chip">${v} <span class="filter-chip-remove" onclick="removeStructuredFilter('${key}', '${v}')">✕</span></span>`).join('');
-        } else if (!config.multi && currentValue) {
-            filterDisplay = `<span class="filter-chip">${currentValue} <span class="filter-chip-remove" onclick="removeStructuredFilter('${key}', '${currentValue}')">✕</span></span>`;
-        }
+// 범위 필터 { min, max } (입력값 문자열, 빈 값은 제한 없음) - 값이 여러 개면(코디) 하나라도 맞으면 통과
+function matchesFieldRange(config, values, range) {
+    const isDate = getCategoryType(config) === 'date';
+    const toComparable = value => isDate ? String(value) : Number(value);
+    const min = range.min !== '' ? toComparable(range.min) : null;
+    const max = range.max !== '' ? toComparable(range.max) : null;
+    return values.some(value => {
+        const comparable = toComparable(value);
+        if (!isDate && !Number.isFinite(comparable)) return false;
+        return (min === null || comparable >= min) && (max === null || comparable <= max);
+    });
+}
 
-        if (filterDisplay) {
-            html += `<div class="structured-filter-group">${filterDisplay}</div>`;
-        }
-    }
+function isFieldRange(filter) {
+    return !!filter && typeof filter === 'object' && !Array.isArray(filter) && (filter.min !== '' || filter.max !== '');
+}
 
-    container.innerHTML = html || '';
+function describeFieldRange(config, range) {
+    const format = value => value === '' ? '' : getCategoryType(config) === 'date' ? value : formatFieldValue({ type: 'number' }, value);
+    return `${config.label} ${format(range.min)}~${format(range.max)}`;
 }
 
-function removeStructuredFilter(key, value) {
-    const config = appState.structuredTagsConfig[key];
-    if (config.multi) {
-        appState.structuredFilters[key] = appState.structuredFilters[key].filter(v => v !== value);
-    } else {
-        appState.structuredFilters[key] = null;
-    }
+function setStructuredFilterRange(key, bound, value) {
+    const current = isFieldRange(appState.structuredFilters[key]) ? appState.structuredFilters[key] : { min: '', max: '' };
+    const range = { ...current, [bound]: value.trim() };
+    appState.structuredFilters[key] = isFieldRange(range) ? range : null;
     applyFilters();
 }
 
-// ====== Search Tab - Apply Filters ======
-function applyFilters() {
-    const searchText = document.getElementById('searchInput')?.value.toLowerCase() || '';
-    const searchTerms = searchText.split(/\s+/).filter(t => t);
-
-    let filtered = appState.allImages.filter(img => {
-        // Structured tag filtering
-        for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
-            const filterValue = appState.structuredFilters[key];
-
-            if (config.multi && Array.isArray(filterValue) && filterValue.length > 0) {
-                const imgValues = img.structuredTags[key] || [];
-                const hasAny = filterValue.some(v => imgValues.includes(v));
-                if (!hasAny) return false;
-            } else if (!config.multi && filterValue) {
-                if (img.structuredTags[key] !== filterValue) return false;
-            }
-        }
-
-        // Free tag filtering
-        if (appState.activeFreeTags.length > 0) {
-            if (appState.filterMode === 'and') {
-                const hasAllTags = appState.activeFreeTags.every(tag => 
-                    img.freeTags.includes(tag)
-                );
-                if (!hasAllTags) return false;
-            } else {
-                const hasAnyTag = appState.activeFreeTags.some(tag => 
-                    img.freeTags.includes(tag)
-                );
-                if (!hasAnyTag) return false;
-            }
-        }
+function renderFieldRangePicker(key, config) {
+    const range = isFieldRange(appState.structuredFilters[key]) ? appState.structuredFilters[key] : { min: '', max: '' };
+    const type = getCategoryType(config);
+    const attributes = type === 'date' ? 'type="date"'
+        : type === 'rating' ? 'type="number" min="1" max="5" step="1"'
+        : 'type="number" inputmode="decimal" step="any"';
+    const input = (bound, placeholder) => `
+        <input ${attributes} class="form-input" placeholder="${placeholder}" value="${escapeHTML(range[bound])}"
+               onchange="setStructuredFilterRange('${key}', '${bound}', this.value)">
+    `;
+    return `<div class="field-range">${input('min', '최소')}<span>~</span>${input('max', '최대')}</div>`;
+}
 
-        // Text search
-        if (searchTerms.length > 0) {
-            const hasAllTerms = searchTerms.every(term => {
-                const inFreeTags = img.freeTags.some(tag => tag.toLowerCase().includes(term));
-                const inMemo = img.memo && img.memo.toLowerCase().includes(term);
-                const inStructured = Object.values(img.structuredTags).some(v => {
-                    if (Array.isArray(v)) {
-                        return v.some(item => item.toLowerCase().includes(term));
-                    }
-                    return v && v.toLowerCase().includes(term);
-                });
-                return inFreeTags || inMemo || inStructured;
-            });
-            if (!hasAllTerms) return false;
-        }
+// 정렬: sortBy = 'field:키:asc|desc'. 값이 없는 이미지는 방향과 관계없이 뒤로
+function parseFieldSort(sortBy) {
+    const match = String(sortBy).match(/^field:(.+):(asc|desc)$/);
+    const config = match && appState.structuredTagsConfig[match[1]];
+    if (!config || !SORTABLE_FIELD_TYPES.includes(getCategoryType(config))) return null;
+    return { key: match[1], config, direction: match[2] };
+}
 
-        return true;
-    });
+function compareByField(a, b, { key, config, direction }) {
+    const valueA = a.structuredTags[key];
+    const valueB = b.structuredTags[key];
+    const emptyA = valueA === null || valueA === undefined || valueA === '';
+    const emptyB = valueB === null || valueB === undefined || valueB === '';
+    if (emptyA || emptyB) return emptyA - emptyB;
+
+    const order = getCategoryType(config) === 'number' || getCategoryType(config) === 'rating'
+        ? Number(valueA) - Number(valueB)
+        : String(valueA).localeCompare(String(valueB), 'ko');
+    return direction === 'asc' ? order : -order;
+}
 
-    filtered.sort((a, b) => {
-        const timeA = new Date(a.createdAt).getTime();
-        const timeB = new Date(b.createdAt).getTime();
-        return appState.sortBy === 'newest' ? timeB - timeA : timeA - timeB;
-    });
+function getSortOptions() {
+    const options = [
+        { value: 'newest', label: '최신순' },
+        { value: 'oldest', label: '오래된순' },
+        { value: 'relevance', label: '관련도순' },
+        { value: 'mostWorn', label: '많이 입은순' },
+        { value: 'recentlyWorn', label: '최근 입은순' },
+        { value: 'longestUnworn', label: '오래 안 입은순' },
+    ];
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const type = getCategoryType(config);
+        if (!SORTABLE_FIELD_TYPES.includes(type)) continue;
+        const [desc, asc] = {
+            number: ['높은순', '낮은순'],
+            rating: ['높은순', '낮은순'],
+            date: ['최신순', '오래된순'],
+            text: ['역순', '가나다순'],
+        }[type];
+        options.push({ value: `field:${key}:desc`, label: `${config.label} ${desc}` });
+        options.push({ value: `field:${key}:asc`, label: `${config.label} ${asc}` });
+    }
+    return options;
+}
 
-    appState.filteredImages = filtered;
-    renderStructuredFilters();
-    renderSelectedFilters();
-    renderSearchGrid();
+function getSortLabel(sortBy) {
+    return getSortOptions().find(option => option.value === sortBy)?.label || '최신순';
 }
 
-function renderSelectedFilters() {
-    const container = document.getElementById('selectedFilters');
-    if (!container) return;
+// 필드 카테고리가 추가·삭제되면 정렬 목록도 바뀜 (없어진 정렬은 최신순으로)
+function renderSortOptions() {
+    const select = document.getElementById('sortBy');
+    if (!select) return;
 
-    container.innerHTML = appState.activeFreeTags.map(tag => `
-        <div class="filter-chip">
-            ${tag}
-            <span class="filter-chip-remove" onclick="removeSearchTag('${tag}')">✕</span>
-        </div>
-    `).join('');
+    const options = getSortOptions();
+    if (!options.some(option => option.value === appState.sortBy)) appState.sortBy = 'newest';
+    select.innerHTML = options.map(option => `<option value="${option.value}">${escapeHTML(option.label)}</option>`).join('');
+    select.value = appState.sortBy;
 }
 
-function removeSearchTag(tag) {
-    appState.activeFreeTags = appState.activeFreeTags.filter(t => t !== tag);
-    applyFilters();
+function updateCategoryTypeForm() {
+    const isChoice = document.getElementById('categoryTypeSelect').value === 'choice';
+    document.getElementById('categoryChoiceOptions').style.display = isChoice ? 'block' : 'none';
+    renderCategoryMigration();
 }
 
-function renderSearchGrid() {
-    const grid = document.getElementById('searchGrid');
-    const empty = document.getElementById('searchEmptyState');
-    const info = document.getElementById('resultsInfo');
+// ====== Tags Tab - Free Tags ======
+function renderTagsList() {
+    const list = document.getElementById('tagsList');
+    const empty = document.getElementById('tagsEmptyState');
+    const searchQuery = document.getElementById('tagsSearchInput')?.value.toLowerCase() || '';
+    const sortBy = document.getElementById('tagsSortBy')?.value || 'frequency';
 
-    if (!grid || !empty || !info) return;
+    if (!list || !empty) return;
 
-    if (appState.filteredImages.length === 0) {
-        grid.innerHTML = '';
+    const sortTags = tags => {
+        if (sortBy === 'frequency') {
+            return tags.sort((a, b) => (appState.freeTagFrequency[b] || 0) - (appState.freeTagFrequency[a] || 0));
+        }
+        return tags.sort();
+    };
+
+    if (appState.allFreeTags.length === 0 || (searchQuery && searchFreeTags(appState.allFreeTags, searchQuery).length === 0)) {
+        list.innerHTML = '';
         empty.style.display = 'block';
-        info.textContent = '';
         return;
     }
 
     empty.style.display = 'none';
-    info.textContent = `${appState.filteredImages.length}개`;
 
-    grid.innerHTML = appState.filteredImages.map((img) => `
-        <div class="image-card" data-id="${img.id}" onclick="openEditModal(${img.id})">
-            <img src="${img.thumbnail}" alt="image" style="object-fit: contain;">
+    // 검색 중에는 관련도순 평평한 목록, 아니면 상위 → 하위 트리
+    let rows;
+    if (searchQuery) {
+        rows = searchFreeTags(sortTags([...appState.allFreeTags]), searchQuery).map(tag => ({ tag, depth: 0 }));
+    } else {
+        const { parents } = appState.tagHierarchy;
+        const isRoot = tag => !parents[tag] || !appState.allFreeTags.includes(parents[tag]);
+        rows = [];
+        const visit = (tag, depth) => {
+            rows.push({ tag, depth });
+            sortTags(getTagChildren(tag).filter(child => appState.allFreeTags.includes(child))).forEach(child => visit(child, depth + 1));
+        };
+        sortTags(appState.allFreeTags.filter(isRoot)).forEach(tag => visit(tag, 0));
+    }
+
+    list.innerHTML = rows.map(({ tag, depth }) => {
+        const aliases = appState.tagHierarchy.aliases[tag] || [];
+        return `
+            <div class="tag-list-item" data-tag="${tag}" style="--depth: ${depth};">
+                <span class="tag-drag-handle" title="끌어서 다른 태그 아래로">⠿</span>
+                <div class="tag-list-item-left" onclick="addFreeTagToSearch('${tag}')">
+                    <span class="tag-list-item-name">${tag}</span>
+                    <span class="tag-item-usage">${appState.freeTagFrequency[tag] || 0}개</span>
+                    ${aliases.length > 0 ? `<span class="tag-item-aliases">= ${aliases.join(', ')}</span>` : ''}
+                </div>
+                <div class="tag-list-item-right">
+                    <button class="btn-sm" style="padding: 4px 8px; font-size: 12px;" onclick="editFreeTagAliases('${tag}')">별칭</button>
+                    <button class="btn-sm" style="padding: 4px 8px; font-size: 12px;" onclick="openFreeTagEditModal('${tag}')">편집</button>
+                    <button class="btn-sm btn-danger" style="padding: 4px 8px; font-size: 12px;" onclick="deleteFreeTags('${tag}')">삭제</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ----- 이름 변경 · 합치기 -----
+// 바꿀 태그들(sources)을 모두 target 하나로. target이 이미 있는 태그면 합치기가 됨
+function openFreeTagEditModal(tag) {
+    appState.freeTagEdit = { sources: [tag] };
+    document.getElementById('freeTagTargetInput').value = tag;
+    document.getElementById('freeTagMergeSearch').value = '';
+    renderFreeTagEdit();
+    openModal('freeTagEditModal');
+    document.getElementById('freeTagTargetInput').focus();
+}
+
+function renderFreeTagEdit() {
+    const edit = appState.freeTagEdit;
+    if (!edit) return;
+
+    const count = tag => appState.freeTagFrequency[tag] || 0;
+    document.getElementById('freeTagEditSources').innerHTML = edit.sources.map(tag => `
+        <div class="tag-selected">
+            ${tag} <small>${count(tag)}</small>
+            ${edit.sources.length > 1 ? `<span class="tag-remove" onclick="toggleFreeTagMergeSource('${tag}')">✕</span>` : ''}
         </div>
     `).join('');
+
+    const search = document.getElementById('freeTagMergeSearch').value.trim().toLowerCase();
+    const others = searchFreeTags(appState.allFreeTags
+        .filter(tag => !edit.sources.includes(tag))
+        .sort((a, b) => count(b) - count(a)), search);
+    document.getElementById('freeTagMergeList').innerHTML = others.length > 0
+        ? others.map(tag => `
+            <button class="edit-structured-chip" onclick="toggleFreeTagMergeSource('${tag}')">${tag} <small>${count(tag)}</small></button>
+        `).join('')
+        : '<span class="free-tag-edit-empty">합칠 태그가 없어요</span>';
+
+    renderFreeTagEditPreview();
 }
 
-// ====== Archive Tab ======
-function renderArchiveGrid() {
-    const grid = document.getElementById('archiveGrid');
-    const empty = document.getElementById('archiveEmptyState');
+function toggleFreeTagMergeSource(tag) {
+    const edit = appState.freeTagEdit;
+    edit.sources = edit.sources.includes(tag)
+        ? edit.sources.filter(t => t !== tag)
+        : [...edit.sources, tag];
+    renderFreeTagEdit();
+}
 
-    if (!grid || !empty) return;
+// 적용 전에 영향받는 이미지 수를 계산
+function previewFreeTagChange(sources, target) {
+    const removed = new Set(sources.filter(tag => tag !== target));
+    let affected = 0;
+    let merged = 0;
+    appState.allImages.forEach(img => {
+        if (!img.freeTags.some(tag => removed.has(tag))) return;
+        affected++;
+        // 바뀐 뒤 같은 태그가 둘 이상이 되는 이미지 = 중복 제거 대상
+        if (img.freeTags.filter(tag => removed.has(tag) || tag === target).length > 1) merged++;
+    });
+    return {
+        affected,
+        merged,
+        mergeInto: !sources.includes(target) && appState.allFreeTags.includes(target),
+        changed: removed.size > 0,
+    };
+}
 
-    if (appState.allImages.length === 0) {
-        grid.innerHTML = '';
-        empty.style.display = 'block';
+function renderFreeTagEditPreview() {
+    const { sources } = appState.freeTagEdit;
+    const target = document.getElementById('freeTagTargetInput').value.trim();
+    const preview = document.getElementById('freeTagEditPreview');
+    const applyBtn = document.getElementById('freeTagEditApplyBtn');
+
+    if (!target) {
+        preview.textContent = '새 이름을 입력해주세요';
+        applyBtn.disabled = true;
         return;
     }
 
-    empty.style.display = 'none';
-
-    const sorted = [...appState.allImages].sort((a, b) =>
-        new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-    );
+    const result = previewFreeTagChange(sources, target);
+    applyBtn.disabled = !result.changed;
+    if (!result.changed) {
+        preview.textContent = '바뀌는 내용이 없어요';
+        return;
+    }
 
-    grid.innerHTML = sorted.map(img => `
-        <div class="image-card" data-id="${img.id}" onclick="openEditModal(${img.id})">
-            <img src="${img.thumbnail}" alt="image" style="object-fit: contain;">
-        </div>
-    `).join('');
+    const lines = [`${sources.map(tag => `'${tag}'`).join(', ')} → '${target}'`, `이미지 ${result.affected}개 변경`];
+    if (result.mergeInto) lines.push(`기존 태그 '${target}'(${appState.freeTagFrequency[target] || 0}개)와 합쳐져요`);
+    if (result.merged > 0) lines.push(`${result.merged}개 이미지는 겹치는 태그가 하나로 정리돼요`);
+    preview.innerHTML = lines.join('<br>');
 }
 
-// ====== Upload ======
-async function handleFiles(files) {
-    const imageFiles = Array.from(files).filter(f => f.type.startsWith('image/'));
-    if (imageFiles.length === 0) {
-        showToast('이미지를 선택해주세요');
-        return;
+async function applyFreeTagEdit() {
+    const edit = appState.freeTagEdit;
+    const target = document.getElementById('freeTagTargetInput').value.trim();
+    if (!edit || !target) return;
+
+    try {
+        const count = await renameFreeTags(edit.sources, target);
+        appState.freeTagEdit = null;
+        closeModal('freeTagEditModal');
+        showToast(`'${target}'(으)로 변경됨 · 이미지 ${count}개`);
+    } catch (error) {
+        console.error('Rename free tags error:', error);
+        showToast('태그를 변경하지 못했어요');
     }
+}
 
-    closeModal('addImageModal');
-    document.getElementById('progressOverlay').style.display = 'flex';
+// sources를 target으로 바꾸고 이미지마다 중복 제거. DB 저장이 끝난 뒤에 메모리 상태를 바꿈
+async function renameFreeTags(sources, target) {
+    const removed = new Set(sources.filter(tag => tag !== target));
+    if (removed.size === 0) return 0;
 
-    for (let i = 0; i < imageFiles.length; i++) {
-        try {
-            const file = imageFiles[i];
-            const dataURL = await fileToDataURL(file);
-            const thumbnail = await generateThumbnail(dataURL);
+    const rename = tags => [...new Set(tags.map(tag => removed.has(tag) ? target : tag))];
+    const updates = appState.allImages
+        .filter(img => img.freeTags.some(tag => removed.has(tag)))
+        .map(img => ({ img, freeTags: rename(img.freeTags) }));
+    const tags = rename(appState.allFreeTags.concat(target)).sort();
 
-            const structuredTags = {};
-            for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
-                structuredTags[key] = config.multi ? [] : null;
-            }
+    await dbUpdateImages(updates.map(({ img, freeTags }) => ({ ...img, freeTags })), { freeTags: tags });
 
-            const imageData = {
-                id: Date.now() + i,
-                thumbnail: thumbnail,
-                original: dataURL,
-                structuredTags: structuredTags,
-                freeTags: [],
-                memo: '',
-                createdAt: new Date().toISOString()
-            };
+    updates.forEach(({ img, freeTags }) => { img.freeTags = freeTags; });
+    appState.allFreeTags = tags;
+    renameFreeTagReferences(removed, target, rename);
 
-            await dbSaveImage(imageData);
-            appState.allImages.push(imageData);
+    recalculateFreeTagFrequency();
+    renderTagsList();
+    applyFilters();
+    updateInfoDisplay();
+    return updates.length;
+}
 
-            document.getElementById('progressFill').style.width = ((i + 1) / imageFiles.length * 100) + '%';
-            document.getElementById('progressText').textContent = `${i + 1} / ${imageFiles.length}`;
-        } catch (error) {
-            console.error('Error:', error);
-        }
+// 검색 필터·검색어·저장된 검색·최근 태그·태그 관계에 남은 옛 이름도 함께 바꿈
+function renameFreeTagReferences(removed, target, rename) {
+    appState.activeFreeTags = rename(appState.activeFreeTags);
+    renameTagInHierarchy(removed, target);
+
+    appState.recentFreeTags = rename(appState.recentFreeTags);
+    localStorage.setItem('recentFreeTags', JSON.stringify(appState.recentFreeTags));
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = renameTagInQuery(searchInput.value, removed, target);
+
+    appState.savedSearches.forEach(search => {
+        search.activeFreeTags = rename(search.activeFreeTags);
+        search.query = renameTagInQuery(search.query, removed, target);
+    });
+    saveSavedSearches();
+}
+
+// 검색어에서 태그:옛이름 항목만 새 이름으로 (문법 오류가 있는 검색어는 그대로)
+function renameTagInQuery(text, removed, target) {
+    let tokens;
+    try {
+        tokens = tokenizeSearchQuery(text);
+    } catch (error) {
+        return text;
     }
 
-    document.getElementById('progressOverlay').style.display = 'none';
-    updateInfoDisplay();
-    renderArchiveGrid();
-    applyFilters();
-    showToast(`${imageFiles.length}개 저장됨`);
+    const lowerRemoved = new Set([...removed].map(tag => tag.toLowerCase()));
+    return tokens
+        .filter(token => token.type === 'term' && token.field
+            && resolveQueryField(token.field)?.type === 'tag'
+            && lowerRemoved.has(token.value.toLowerCase()))
+        .reverse()
+        .reduce((result, token) =>
+            `${result.slice(0, token.start)}${token.field}:${quoteQueryValue(target)}${result.slice(token.end)}`, text);
 }
 
-function fileToDataURL(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = () => reject(reader.error);
-        reader.readAsDataURL(file);
-    });
+// ----- 별칭 · 계층 -----
+// tagHierarchy = { parents: { 하위 태그: 상위 태그 }, aliases: { 태그: [별칭, ...] } } (localStorage)
+// 별칭끼리는 같은 태그로, 상위 태그는 모든 하위 태그를 포함하는 것으로 검색
+function saveTagHierarchy() {
+    invalidateSavedSearchCounts();
+    localStorage.setItem('tagHierarchy', JSON.stringify(appState.tagHierarchy));
 }
 
-function generateThumbnail(dataURL) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            let width = img.width;
-            let height = img.height;
+// 형식이 잘못된 항목, 자기 자신·순환 관계를 버림. tags가 있으면 그 목록에 있는 태그만 남김
+function normalizeTagHierarchy(hierarchy, tags = null) {
+    const known = tags ? new Set(tags) : null;
+    const isTag = value => typeof value === 'string' && value !== '' && (!known || known.has(value));
+    const source = hierarchy && typeof hierarchy === 'object' ? hierarchy : {};
 
-            if (width > height) {
-                if (width > 400) {
-                    height = Math.round(height * 400 / width);
-                    width = 400;
-                }
-            } else {
-                if (height > 400) {
-                    width = Math.round(width * 400 / height);
-                    height = 400;
+    const parents = {};
+    const createsCycle = (child, parent) => {
+        for (let tag = parent; tag; tag = parents[tag]) {
+            if (tag === child) return true;
+        }
+        return false;
+    };
+    Object.entries(source.parents && typeof source.parents === 'object' ? source.parents : {}).forEach(([child, parent]) => {
+        if (isTag(child) && isTag(parent) && !createsCycle(child, parent)) parents[child] = parent;
+    });
+
+    const aliases = {};
+    Object.entries(source.aliases && typeof source.aliases === 'object' ? source.aliases : {}).forEach(([tag, list]) => {
+        if (!isTag(tag) || !Array.isArray(list)) return;
+        const clean = [...new Set(list.filter(alias => typeof alias === 'string').map(alias => alias.trim()))]
+            .filter(alias => alias && alias !== tag);
+        if (clean.length > 0) aliases[tag] = clean;
+    });
+
+    return { parents, aliases };
+}
+
+function getTagChildren(tag) {
+    return Object.keys(appState.tagHierarchy.parents).filter(child => appState.tagHierarchy.parents[child] === tag);
+}
+
+// 별칭으로 이어진 이름 전체 (소문자). "데님" ↔ "청바지" ↔ "jeans"
+function getAliasGroup(name) {
+    const aliases = appState.tagHierarchy.aliases;
+    const group = new Set([name.toLowerCase()]);
+    const queue = [name.toLowerCase()];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        Object.entries(aliases).forEach(([tag, list]) => {
+            const names = [tag, ...list].map(n => n.toLowerCase());
+            if (!names.includes(current)) return;
+            names.forEach(n => {
+                if (!group.has(n)) {
+                    group.add(n);
+                    queue.push(n);
                 }
+            });
+        });
+    }
+    return group;
+}
+
+// 검색에서 이 태그와 같은 것으로 볼 태그 이름들 (소문자): 별칭 + 모든 하위 태그와 그 별칭
+function expandFreeTag(name) {
+    const byLower = new Map(appState.allFreeTags.map(tag => [tag.toLowerCase(), tag]));
+    const expanded = new Set();
+    const queue = [name];
+    while (queue.length > 0) {
+        getAliasGroup(queue.shift()).forEach(lower => {
+            if (expanded.has(lower)) return;
+            expanded.add(lower);
+            const tag = byLower.get(lower);
+            if (tag) queue.push(...getTagChildren(tag));
+        });
+    }
+    return expanded;
+}
+
+function hasExpandedFreeTag(img, expanded) {
+    return img.freeTags.some(tag => expanded.has(tag.toLowerCase()));
+}
+
+// 태그 이름이나 별칭에 검색어가 들어 있는지 (태그 탭·태그 선택기 검색)
+function getFreeTagNames(tag) {
+    return [tag, ...(appState.tagHierarchy.aliases[tag] || [])];
+}
+
+// 이름이나 별칭이 검색어와 맞는 태그를 관련도순으로 (검색어가 없으면 그대로)
+function searchFreeTags(tags, query) {
+    return query ? rankBySearch(tags, query, getFreeTagNames) : tags;
+}
+
+function setFreeTagParent(tag, parent) {
+    const parents = appState.tagHierarchy.parents;
+    if ((parents[tag] || null) === parent) return;
+
+    if (parent) {
+        for (let current = parent; current; current = parents[current]) {
+            if (current === tag) {
+                showToast('하위 태그 아래로는 옮길 수 없어요');
+                return;
             }
+        }
+        parents[tag] = parent;
+    } else {
+        delete parents[tag];
+    }
 
-            canvas.width = width;
-            canvas.height = height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
+    saveTagHierarchy();
+    renderTagsList();
+    applyFilters();
+    showToast(parent ? `'${tag}' → '${parent}' 아래로` : `'${tag}' 최상위로`);
+}
 
-            resolve(canvas.toDataURL('image/jpeg', 0.85));
-        };
-        img.onerror = () => reject(new Error('Image load failed'));
-        img.src = dataURL;
-    });
+function editFreeTagAliases(tag) {
+    const current = appState.tagHierarchy.aliases[tag] || [];
+    const input = prompt(`'${tag}'의 별칭 (쉼표로 구분)\n별칭으로 검색해도 이 태그가 찾아져요`, current.join(', '));
+    if (input === null) return;
+
+    const aliases = [...new Set(input.split(/[,，]/).map(alias => alias.trim()))].filter(alias => alias && alias !== tag);
+    if (aliases.length > 0) {
+        appState.tagHierarchy.aliases[tag] = aliases;
+    } else {
+        delete appState.tagHierarchy.aliases[tag];
+    }
+
+    saveTagHierarchy();
+    renderTagsList();
+    applyFilters();
+    showToast('저장됨');
 }
 
-// ====== Edit Modal ======
-async function openEditModal(imageId) {
-    const image = await dbGetImage(imageId);
-    if (!image) return;
+// 이름 변경·합치기 후 관계도 새 이름으로 (합쳐진 태그들의 별칭은 합침)
+function renameTagInHierarchy(removed, target) {
+    const rename = tag => removed.has(tag) ? target : tag;
+    const { parents, aliases } = appState.tagHierarchy;
+
+    const renamedParents = {};
+    // target이 원래 가진 관계를 우선
+    Object.entries(parents)
+        .sort(([a], [b]) => (b === target) - (a === target))
+        .forEach(([child, parent]) => {
+            const c = rename(child);
+            const p = rename(parent);
+            if (c !== p && !(c in renamedParents)) renamedParents[c] = p;
+        });
 
-    appState.currentEditImageId = imageId;
-    document.getElementById('editPreviewImage').src = image.original;
-    document.getElementById('editPreviewImage').dataset.id = imageId;
-    document.getElementById('editMemo').value = image.memo || '';
+    const renamedAliases = {};
+    Object.entries(aliases).forEach(([tag, list]) => {
+        const key = rename(tag);
+        renamedAliases[key] = [...(renamedAliases[key] || []), ...list];
+    });
 
-    renderEditStructuredTags(image.structuredTags);
-    renderEditFreeTags(image.freeTags);
+    appState.tagHierarchy = normalizeTagHierarchy({ parents: renamedParents, aliases: renamedAliases });
+    saveTagHierarchy();
+}
 
-    openModal('editModal');
+// 태그를 지우면 하위 태그는 지운 태그의 상위로 올라감. 되돌릴 때 쓸 관계를 돌려줌
+function forgetFreeTagInHierarchy(tag) {
+    const { parents, aliases } = appState.tagHierarchy;
+    const relations = { parent: parents[tag] || null, children: getTagChildren(tag), aliases: aliases[tag] || [] };
+    getTagChildren(tag).forEach(child => {
+        if (parents[tag]) {
+            parents[child] = parents[tag];
+        } else {
+            delete parents[child];
+        }
+    });
+    delete parents[tag];
+    delete aliases[tag];
+    saveTagHierarchy();
+    return relations;
 }
 
-function renderEditStructuredTags(structuredTags) {
-    const container = document.getElementById('editStructuredTags');
-    if (!container) return;
+function restoreFreeTagInHierarchy(tag, { parent, children, aliases }) {
+    const hierarchy = appState.tagHierarchy;
+    if (parent) hierarchy.parents[tag] = parent;
+    children.forEach(child => { hierarchy.parents[child] = tag; });
+    if (aliases.length > 0) hierarchy.aliases[tag] = aliases;
+    appState.tagHierarchy = normalizeTagHierarchy(hierarchy, appState.allFreeTags);
+    saveTagHierarchy();
+}
 
-    let html = '';
+// 태그 탭에서 ⠿를 끌어 다른 태그 위에 놓으면 그 아래로, 맨 위 영역에 놓으면 최상위로
+function setupTagTreeDrag(list) {
+    const rootDrop = document.getElementById('tagTreeRootDrop');
+    const scroller = document.querySelector('.main-content');
+    if (!list || !rootDrop) return;
+    let drag = null;
+
+    const setTarget = (target) => {
+        if (target === drag.target) return;
+        drag.target?.classList.remove('drop-target');
+        drag.target = target;
+        target?.classList.add('drop-target');
+    };
 
-    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
-        const currentValue = structuredTags[key];
-        const label = config.label;
-        
-        if (config.multi) {
-            const selectedChips = config.values.map(value => `
-                <button class="edit-structured-chip ${(currentValue || []).includes(value) ? 'selected' : ''}" 
-                        onclick="toggleStructuredTagInEdit('${key}', '${value}')">
-                    ${value}
-                </button>
-            `).join('');
-            html += `
-                <div class="edit-tag-category">
-                    <span class="edit-tag-label">${label}:</span>
-                    <div class="edit-tag-chips">${selectedChips}</div>
-                </div>
-            `;
+    const finish = (apply) => {
+        if (!drag) return;
+        const { tag, item, target } = drag;
+        drag = null;
+        item.classList.remove('dragging');
+        target?.classList.remove('drop-target');
+        rootDrop.classList.remove('visible');
+        if (apply && target) setFreeTagParent(tag, target === rootDrop ? null : target.dataset.tag);
+    };
+
+    list.addEventListener('pointerdown', (e) => {
+        const handle = e.target.closest('.tag-drag-handle');
+        if (!handle || e.button > 0) return;
+        const item = handle.closest('.tag-list-item');
+
+        e.preventDefault();
+        drag = { tag: item.dataset.tag, item, target: null };
+        list.setPointerCapture?.(e.pointerId);
+        item.classList.add('dragging');
+        rootDrop.classList.add('visible');
+        navigator.vibrate?.(10);
+    });
+
+    list.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const target = document.elementFromPoint(e.clientX, e.clientY)?.closest('.tag-list-item[data-tag], #tagTreeRootDrop') || null;
+        setTarget(target === drag.item ? null : target);
+
+        // 가장자리에서 자동 스크롤
+        const rect = scroller.getBoundingClientRect();
+        if (e.clientY < rect.top + 40) scroller.scrollTop -= 12;
+        else if (e.clientY > rect.bottom - 40) scroller.scrollTop += 12;
+    });
+
+    list.addEventListener('pointerup', () => finish(true));
+    list.addEventListener('pointercancel', () => finish(false));
+}
+
+// ====== Korean Fuzzy Search ======
+// 검색 탭·태그 탭·태그 선택 창이 함께 쓰는 검색 점수 (0이면 불일치, 클수록 관련도 높음)
+//   스니커즈 ← "스니" (포함) · "ㅅㄴㅋ" (초성) · "스닠" (입력 중인 글자, 자모 단위) · "스니커주" (오타 1개)
+// 오타 비교는 typos를 켰을 때만 - 다른 방법으로 맞는 것이 하나도 없을 때 다시 찾는 용도 (searchWithTypoFallback)
+const HANGUL_BASE = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+const HANGUL_INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const HANGUL_MEDIALS = 'ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ';
+const HANGUL_FINALS = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+// 겹받침·겹모음은 키보드로 치는 순서대로 풀어서 비교 ("닭" = ㄷㅏㄹㄱ, "과" = ㄱㅗㅏ)
+const HANGUL_COMPOUND_JAMO = {
+    ㄳ: 'ㄱㅅ', ㄵ: 'ㄴㅈ', ㄶ: 'ㄴㅎ', ㄺ: 'ㄹㄱ', ㄻ: 'ㄹㅁ', ㄼ: 'ㄹㅂ', ㄽ: 'ㄹㅅ', ㄾ: 'ㄹㅌ', ㄿ: 'ㄹㅍ', ㅀ: 'ㄹㅎ', ㅄ: 'ㅂㅅ',
+    ㅘ: 'ㅗㅏ', ㅙ: 'ㅗㅐ', ㅚ: 'ㅗㅣ', ㅝ: 'ㅜㅓ', ㅞ: 'ㅜㅔ', ㅟ: 'ㅜㅣ', ㅢ: 'ㅡㅣ',
+};
+const FUZZY_MIN_QUERY_JAMO = 4;
+const FUZZY_MAX_TEXT_JAMO = 200;
+const SEARCH_KEY_CACHE_LIMIT = 5000;
+
+const searchKeyCache = new Map();
+
+// 소문자 · 자모 · 초성 (같은 텍스트를 반복해서 풀지 않도록 캐시)
+function getSearchKey(text) {
+    let key = searchKeyCache.get(text);
+    if (key) return key;
+
+    const lower = text.normalize('NFC').toLowerCase();
+    let jamo = '';
+    let initials = '';
+    for (const ch of lower) {
+        const code = ch.charCodeAt(0);
+        if (code >= HANGUL_BASE && code <= HANGUL_LAST) {
+            const offset = code - HANGUL_BASE;
+            const initial = HANGUL_INITIALS[Math.floor(offset / 588)];
+            const medial = HANGUL_MEDIALS[Math.floor((offset % 588) / 28)];
+            const final = HANGUL_FINALS[offset % 28];
+            jamo += initial + (HANGUL_COMPOUND_JAMO[medial] || medial) + (HANGUL_COMPOUND_JAMO[final] || final);
+            initials += initial;
         } else {
-            const selectedChips = config.values.map(value => `
-                <button class="edit-structured-chip ${currentValue === value ? 'selected' : ''}" 
-                        onclick="setStructuredTagInEdit('${key}', '${value}')">
-                    ${value}
-                </button>
-            `).join('');
-            html += `
-                <div class="edit-tag-category">
-                    <span class="edit-tag-label">${label}:</span>
-                    <div class="edit-tag-chips">${selectedChips}</div>
-                </div>
-            `;
+            jamo += HANGUL_COMPOUND_JAMO[ch] || ch;
+            initials += ch;
         }
     }
 
-    container.innerHTML = html;
+    if (searchKeyCache.size >= SEARCH_KEY_CACHE_LIMIT) searchKeyCache.clear();
+    key = { lower, jamo, initials };
+    searchKeyCache.set(text, key);
+    return key;
 }
 
-function setStructuredTagInEdit(key, value) {
-    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
-    if (!image) return;
-    image.structuredTags[key] = image.structuredTags[key] === value ? null : value;
-    renderEditStructuredTags(image.structuredTags);
+function isInitialsQuery(lower) {
+    return /^[ㄱ-ㅎ\s]+$/.test(lower);
 }
 
-function toggleStructuredTagInEdit(key, value) {
-    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
-    if (!image) return;
-    
-    if (!image.structuredTags[key]) {
-        image.structuredTags[key] = [];
+function getEditDistance(text, query) {
+    let previous = Array.from({ length: text.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= query.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= text.length; j++) {
+            const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
     }
-    
-    const index = image.structuredTags[key].indexOf(value);
-    if (index !== -1) {
-        image.structuredTags[key].splice(index, 1);
+    return previous[text.length];
+}
+
+// exact: 따옴표 구절처럼 글자 그대로만 (초성·자모·오타 없이)
+// typos: 오타 허용 - 텍스트 전체나 단어 하나와 통째로 비교 (긴 메모 속 아무 부분과 비슷하다고 맞지 않도록)
+function fuzzyScore(text, query, { exact = false, typos = false } = {}) {
+    if (!text || !query) return 0;
+    const target = getSearchKey(text);
+    const needle = getSearchKey(query);
+
+    if (target.lower === needle.lower) return 100;
+    if (target.lower.startsWith(needle.lower)) return 90;
+    if (target.lower.includes(needle.lower)) return 80;
+    if (exact) return 0;
+
+    if (isInitialsQuery(needle.lower)) {
+        const initials = needle.lower.replace(/\s+/g, '');
+        if (target.initials.startsWith(initials)) return 75;
+        if (target.initials.includes(initials)) return 70;
+    }
+
+    if (target.jamo.startsWith(needle.jamo)) return 65;
+    if (target.jamo.includes(needle.jamo)) return 60;
+
+    // 자모 4개(한 글자 반)부터 오타 1개, 8개부터 2개까지 허용
+    const length = needle.jamo.length;
+    if (!typos || length < FUZZY_MIN_QUERY_JAMO || target.jamo.length > FUZZY_MAX_TEXT_JAMO) return 0;
+    const allowed = length >= 8 ? 2 : 1;
+    const words = [target.jamo, ...target.jamo.split(/[^\p{L}\p{N}]+/u)];
+    const distance = words.reduce((best, word) => {
+        if (Math.abs(word.length - length) > allowed) return best;
+        return Math.min(best, getEditDistance(word, needle.jamo));
+    }, Infinity);
+    return distance <= allowed ? 50 - distance * 10 : 0;
+}
+
+function bestFuzzyScore(texts, query, options) {
+    return texts.reduce((best, text) => Math.max(best, fuzzyScore(text, query, options)), 0);
+}
+
+// 맞는 것만 점수 높은 순으로 (점수가 같으면 넘겨준 순서 유지), 하나도 없으면 오타까지 허용
+function rankBySearch(items, query, getTexts) {
+    const rank = options => items
+        .map(item => ({ item, score: bestFuzzyScore(getTexts(item), query, options) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.item);
+    const ranked = rank({});
+    return ranked.length > 0 ? ranked : rank({ typos: true });
+}
+
+// ====== Search Tab - Structured Filters ======
+function renderStructuredFilters() {
+    const container = document.getElementById('structuredFilters');
+    if (!container) return;
+
+    let html = '';
+
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const currentValue = appState.structuredFilters[key];
+        let filterDisplay = '';
+
+        if (!isChoiceCategory(config)) {
+            if (isFieldRange(currentValue)) {
+                filterDisplay = `<span class="filter-chip">${escapeHTML(describeFieldRange(config, currentValue))} <span class="filter-chip-remove" onclick="removeStructuredFilter('${key}', null)">✕</span></span>`;
+            }
+        } else if (config.multi && Array.isArray(currentValue) && currentValue.length > 0) {
+            filterDisplay = currentValue.map(v => `<span class="filter-chip">${v} <span class="filter-chip-remove" onclick="removeStructuredFilter('${key}', '${v}')">✕</span></span>`).join('');
+        } else if (!config.multi && currentValue) {
+            filterDisplay = `<span class="filter-chip">${currentValue} <span class="filter-chip-remove" onclick="removeStructuredFilter('${key}', '${currentValue}')">✕</span></span>`;
+        }
+
+        if (filterDisplay) {
+            html += `<div class="structured-filter-group">${filterDisplay}</div>`;
+        }
+    }
+
+    container.innerHTML = html || '';
+}
+
+function removeStructuredFilter(key, value) {
+    const config = appState.structuredTagsConfig[key];
+    if (config.multi) {
+        appState.structuredFilters[key] = appState.structuredFilters[key].filter(v => v !== value);
     } else {
-        image.structuredTags[key].push(value);
+        appState.structuredFilters[key] = null;
     }
-    renderEditStructuredTags(image.structuredTags);
+    applyFilters();
 }
 
-function renderEditFreeTags(freeTags) {
-    const container = document.getElementById('editFreeTags');
+// ====== Search Tab - Apply Filters ======
+function applyFilters() {
+    const { query, results: filtered } = searchWithTypoFallback(
+        document.getElementById('searchInput')?.value || '',
+        predicate => filterImages(appState, predicate)
+    );
+    renderSearchQueryError(query.error);
+
+    // 관련도순은 검색어가 있을 때만, 점수나 필드 값이 같으면 최신순
+    const scores = appState.sortBy === 'relevance' && query.predicate
+        ? new Map(filtered.map(img => [img.id, query.predicate(img)]))
+        : null;
+    const fieldSort = parseFieldSort(appState.sortBy);
+    filtered.sort((a, b) => {
+        if (scores && scores.get(a.id) !== scores.get(b.id)) return scores.get(b.id) - scores.get(a.id);
+        if (fieldSort) {
+            const order = compareByField(a, b, fieldSort);
+            if (order !== 0) return order;
+        }
+        const wearOrder = compareByWear(a, b, appState.sortBy);
+        if (wearOrder !== 0) return wearOrder;
+        const timeA = new Date(a.createdAt).getTime();
+        const timeB = new Date(b.createdAt).getTime();
+        return appState.sortBy === 'oldest' ? timeA - timeB : timeB - timeA;
+    });
+
+    appState.filteredImages = filtered;
+    renderStructuredFilters();
+    renderDateRangeFilter();
+    renderWearFilter();
+    renderSelectedFilters();
+    renderSavedSearches();
+    renderSearchGrid();
+}
+
+// 검색어로 거름 - 글자·초성·자모로 맞는 것이 하나도 없을 때만 오타까지 허용해서 다시 찾음
+// filter(predicate) → 결과 배열. 돌려주는 query는 실제로 거른 쪽 (관련도 정렬용)
+function searchWithTypoFallback(text, filter) {
+    const query = parseSearchQuery(text);
+    const results = filter(query.predicate);
+    if (results.length > 0 || !query.predicate) return { query, results };
+
+    const loose = parseSearchQuery(text, { typos: true });
+    return { query: loose, results: filter(loose.predicate) };
+}
+
+// 검색 조건({ structuredFilters, activeFreeTags, filterMode, dateRange, wearFilter })과 검색어 조건으로 거름 (정렬 전)
+// 저장된 검색의 개수 계산에도 같은 경로를 사용
+function filterImages(criteria, queryPredicate) {
+    const expandedTags = criteria.activeFreeTags.map(expandFreeTag);
+    const dateRange = getDateRangeBounds(criteria.dateRange);
+    return appState.allImages.filter(img => {
+        // Structured tag filtering
+        for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+            const filterValue = criteria.structuredFilters[key];
+
+            if (!isChoiceCategory(config)) {
+                if (isFieldRange(filterValue) && !matchesFieldRange(config, getStructuredValueList(img, key), filterValue)) return false;
+            } else if (config.multi && Array.isArray(filterValue) && filterValue.length > 0) {
+                const imgValues = img.structuredTags[key] || [];
+                const hasAny = filterValue.some(v => imgValues.includes(v));
+                if (!hasAny) return false;
+            } else if (!config.multi && filterValue) {
+                if (img.structuredTags[key] !== filterValue) return false;
+            }
+        }
+
+        // Free tag filtering (상위 태그는 하위 태그, 별칭까지 포함)
+        if (expandedTags.length > 0) {
+            if (criteria.filterMode === 'and') {
+                const hasAllTags = expandedTags.every(expanded => 
+                    hasExpandedFreeTag(img, expanded)
+                );
+                if (!hasAllTags) return false;
+            } else {
+                const hasAnyTag = expandedTags.some(expanded => 
+                    hasExpandedFreeTag(img, expanded)
+                );
+                if (!hasAnyTag) return false;
+            }
+        }
+
+        // 촬영일 범위
+        if (dateRange) {
+            const time = getCaptureTime(img);
+            if (time < dateRange.from || time >= dateRange.to) return false;
+        }
+
+        if (!matchesWearFilter(img, criteria.wearFilter)) return false;
+
+        // Text search (검색어 문법 - parseSearchQuery)
+        if (queryPredicate && !queryPredicate(img)) return false;
+
+        return true;
+    });
+}
+
+// { from, to } (YYYY-MM-DD) → 로컬 시간 [from, to), 둘 다 비었으면 null (dateRange가 없는 예전 저장된 검색 포함)
+function getDateRangeBounds(range) {
+    if (!range?.from && !range?.to) return null;
+    const dayStart = (text, addDays = 0) => {
+        const [year, month, day] = text.split('-').map(Number);
+        return new Date(year, month - 1, day + addDays).getTime();
+    };
+    return {
+        from: range.from ? dayStart(range.from) : -Infinity,
+        to: range.to ? dayStart(range.to, 1) : Infinity,
+    };
+}
+
+function renderDateRangeFilter() {
+    const from = document.getElementById('dateFrom');
+    const to = document.getElementById('dateTo');
+    const clear = document.getElementById('dateRangeClear');
+    if (!from || !to || !clear) return;
+
+    from.value = appState.dateRange.from;
+    to.value = appState.dateRange.to;
+    from.max = appState.dateRange.to;
+    to.min = appState.dateRange.from;
+    clear.style.display = appState.dateRange.from || appState.dateRange.to ? 'flex' : 'none';
+}
+
+function renderSelectedFilters() {
+    const container = document.getElementById('selectedFilters');
     if (!container) return;
 
-    container.innerHTML = freeTags.map(tag => `
-        <div class="tag-selected">
+    container.innerHTML = appState.activeFreeTags.map(tag => `
+        <div class="filter-chip">
             ${tag}
-            <span class="tag-remove" onclick="removeFreeTagInEdit('${tag}')">✕</span>
+            <span class="filter-chip-remove" onclick="removeSearchTag('${tag}')">✕</span>
         </div>
     `).join('');
 }
 
-function removeFreeTagInEdit(tag) {
-    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
-    if (!image) return;
-    image.freeTags = image.freeTags.filter(t => t !== tag);
-    renderEditFreeTags(image.freeTags);
+function removeSearchTag(tag) {
+    appState.activeFreeTags = appState.activeFreeTags.filter(t => t !== tag);
+    applyFilters();
 }
 
-async function saveImageEdit() {
-    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
-    if (!image) return;
+function renderSearchGrid() {
+    const grid = document.getElementById('searchGrid');
+    const empty = document.getElementById('searchEmptyState');
+    const info = document.getElementById('resultsInfo');
 
-    image.memo = document.getElementById('editMemo').value;
-    await dbUpdateImage(image);
-    closeModal('editModal');
-    applyFilters();
-    renderArchiveGrid();
-    showToast('저장됨');
-}
+    if (!grid || !empty || !info) return;
 
-async function deleteImage(imageId) {
-    await dbDeleteImage(imageId);
-    appState.allImages = appState.allImages.filter(img => img.id !== imageId);
-    closeModal('editModal');
-    applyFilters();
-    renderArchiveGrid();
-    showToast('삭제됨');
-}
+    if (appState.filteredImages.length === 0) {
+        appState.grids.search.setItems([]);
+        empty.style.display = 'block';
+        info.textContent = '';
+        return;
+    }
 
-// ====== Tag Picker ======
+    empty.style.display = 'none';
+    info.textContent = `${appState.filteredImages.length}개`;
+
+    appState.grids.search.setItems(appState.filteredImages);
+}
+
+// ====== Search Tab - Query Language ======
+// 검색어 문법:
+//   검정 여름             모든 단어 포함 (태그·메모·구조화 값)
+//   "와이드 팬츠"         따옴표 = 구절
+//   색상:검정 memo:"..."  필드 지정 (구조화 카테고리 이름/키, 태그, 메모, 날짜)
+//   -태그:여름            제외
+//   검정 OR 네이비 / (a | b) c
+//   날짜:2024-05  날짜:>=2024-03  날짜:2024-01..2024-03  (createdAt 기준)
+//   촬영:2024-05 ...       날짜와 같은 형식, 촬영 시각 기준 (getCaptureDate)
+//   상태:태그없음         자유 태그도 구조화 값도 없는 이미지
+const QUERY_FIELD_ALIASES = {
+    tag: 'tag', 태그: 'tag',
+    memo: 'memo', 메모: 'memo',
+    date: 'date', 날짜: 'date',
+    captured: 'captured', 촬영: 'captured',
+    is: 'is', 상태: 'is',
+    worn: 'worn', 착용: 'worn',
+    unworn: 'unworn', 미착용: 'unworn',
+};
+const QUERY_FIELD_NAMES = ['태그', '메모', '날짜', '촬영', '상태', '착용', '미착용'];
+const QUERY_STATES = { 태그없음: 'untagged', untagged: 'untagged' };
+const MAX_SEARCH_SUGGESTIONS = 8;
+
+function queryError(message, start, end) {
+    const error = new Error(message);
+    error.queryPosition = { start, end };
+    return error;
+}
+
+function tokenizeSearchQuery(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')' || ch === '|') {
+            tokens.push({ type: ch === '|' ? 'or' : ch, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+        if (ch === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+            tokens.push({ type: 'not', start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let field = null;
+        const fieldMatch = text.slice(i).match(/^([^\s:()"|]+):/);
+        if (fieldMatch) {
+            field = fieldMatch[1];
+            i += fieldMatch[0].length;
+        }
+
+        let value;
+        let quoted = false;
+        if (text[i] === '"') {
+            const close = text.indexOf('"', i + 1);
+            if (close === -1) throw queryError('닫는 따옴표(")가 없습니다', i, text.length);
+            value = text.slice(i + 1, close);
+            quoted = true;
+            i = close + 1;
+        } else {
+            value = text.slice(i).match(/^[^\s()|]*/)[0];
+            i += value.length;
+        }
+
+        if (!field && !quoted && value === 'OR') {
+            tokens.push({ type: 'or', start, end: i });
+        } else {
+            tokens.push({ type: 'term', field, value, quoted, start, end: i });
+        }
+    }
+
+    return tokens;
+}
+
+// 검색어 → { predicate(img) | null, error | null }
+// predicate는 관련도 점수를 돌려줌 (0이면 불일치, AND는 합, OR는 최댓값). typos: 글자 조건에 오타 허용
+function parseSearchQuery(text, { typos = false } = {}) {
+    if (!text.trim()) return { predicate: null, error: null };
+
+    try {
+        const tokens = tokenizeSearchQuery(text);
+        let pos = 0;
+        let depth = 0;
+        const peek = () => tokens[pos];
+        const endsExpression = token => !token || token.type === 'or' || token.type === ')';
+
+        // exact: - 아래의 조건은 글자 그대로만 비교 (오타·초성으로 비슷한 것까지 빼지 않도록)
+        const parseOr = (exact = false) => {
+            const parts = [parseAnd(exact)];
+            while (peek()?.type === 'or') {
+                const orToken = tokens[pos++];
+                if (endsExpression(peek())) {
+                    throw queryError('OR 뒤에 조건이 필요합니다', orToken.start, orToken.end);
+                }
+                parts.push(parseAnd(exact));
+            }
+            return parts.length === 1 ? parts[0] : img => Math.max(...parts.map(part => part(img)));
+        };
+
+        const parseAnd = (exact) => {
+            const parts = [];
+            while (!endsExpression(peek())) parts.push(parseUnary(exact));
+
+            if (parts.length === 0) {
+                const token = peek();
+                if (token?.type === 'or') throw queryError('OR 앞에 조건이 필요합니다', token.start, token.end);
+                if (token?.type === ')' && depth === 0) throw queryError('여는 괄호 없이 닫았습니다', token.start, token.end);
+                throw queryError('괄호 안에 조건이 필요합니다', token?.start ?? text.length, token?.end ?? text.length);
+            }
+            return parts.length === 1 ? parts[0] : img => {
+                let total = 0;
+                for (const part of parts) {
+                    const partScore = part(img);
+                    if (!partScore) return 0;
+                    total += partScore;
+                }
+                return total;
+            };
+        };
+
+        const parseUnary = (exact) => {
+            const token = tokens[pos++];
+            if (token.type === 'not') {
+                if (endsExpression(peek())) throw queryError('- 뒤에 조건이 필요합니다', token.start, token.end);
+                const inner = parseUnary(true);
+                return img => inner(img) ? 0 : 1;
+            }
+            if (token.type === '(') {
+                depth++;
+                const inner = parseOr(exact);
+                if (peek()?.type !== ')') throw queryError('닫는 괄호가 없습니다', token.start, token.end);
+                pos++;
+                depth--;
+                return inner;
+            }
+            return compileQueryTerm(token, { exact, typos });
+        };
+
+        const predicate = parseOr();
+        if (pos < tokens.length) {
+            const token = tokens[pos];
+            throw queryError('여는 괄호 없이 닫았습니다', token.start, token.end);
+        }
+        return { predicate, error: null };
+    } catch (error) {
+        if (!error.queryPosition) throw error;
+        return { predicate: null, error };
+    }
+}
+
+function resolveQueryField(name) {
+    const lower = name.toLowerCase();
+    if (QUERY_FIELD_ALIASES[lower]) return { type: QUERY_FIELD_ALIASES[lower] };
+
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        if (key.toLowerCase() === lower || config.label.toLowerCase() === lower) {
+            return { type: 'structured', key };
+        }
+    }
+    return null;
+}
+
+function isUntaggedImage(img) {
+    return img.freeTags.length === 0 && Object.keys(img.structuredTags).every(key => getStructuredValueList(img, key).length === 0);
+}
+
+// 필드 카테고리의 숫자 값도 문자열로 (검색어 비교용)
+function getStructuredValueList(img, key) {
+    const value = img.structuredTags[key];
+    if (Array.isArray(value)) return value;
+    return value !== null && value !== undefined && value !== '' ? [String(value)] : [];
+}
+
+// 조건 하나 → img => 관련도 점수 (0이면 불일치). 따옴표 구절과 제외(-) 조건은 글자 그대로만 비교
+// 메모는 긴 글이라 오타 비교에서 뺌
+function compileQueryTerm(token, { exact = false, typos = false } = {}) {
+    // 모르는 필드명이면 "10:30", "https://…"처럼 :이 들어간 일반 검색어로 봄
+    const field = token.field ? resolveQueryField(token.field) : null;
+    const value = token.field && !field ? `${token.field}:${token.value}` : token.value;
+    const needle = value.toLowerCase();
+    const options = { exact: token.quoted || exact, typos };
+    const score = texts => bestFuzzyScore(texts, needle, options);
+    const scoreMemo = img => bestFuzzyScore([img.memo], needle, { ...options, typos: false });
+
+    // 태그 이름·별칭과 정확히 같으면 별칭과 하위 태그도 찾음
+    const expanded = expandFreeTag(value);
+    const scoreTag = img => hasExpandedFreeTag(img, expanded) ? 100 : score(img.freeTags);
+
+    if (!field) {
+        if (!needle) throw queryError('빈 따옴표입니다', token.start, token.end);
+        return img => Math.max(
+            scoreTag(img),
+            scoreMemo(img),
+            ...Object.keys(img.structuredTags).map(key => score(getStructuredValueList(img, key)))
+        );
+    }
+
+    if (!needle) throw queryError(`${token.field}: 뒤에 값이 필요합니다`, token.start, token.end);
+
+    switch (field.type) {
+        case 'tag':
+            return scoreTag;
+        case 'memo':
+            return scoreMemo;
+        case 'date':
+        case 'captured': {
+            const { from, to } = parseQueryDateRange(token.value, token);
+            const timeOf = field.type === 'date' ? img => new Date(img.createdAt).getTime() : getCaptureTime;
+            return img => {
+                const time = timeOf(img);
+                return time >= from && time < to ? 1 : 0;
+            };
+        }
+        case 'is':
+            if (QUERY_STATES[needle] !== 'untagged') {
+                throw queryError(`알 수 없는 상태: ${token.value} (태그없음)`, token.start, token.end);
+            }
+            return img => isUntaggedImage(img) ? 1 : 0;
+        case 'worn': {
+            const inRange = parseQueryNumberRange(token.value, token);
+            return img => inRange(getWearCount(img)) ? 1 : 0;
+        }
+        case 'unworn': {
+            const days = Number(token.value);
+            if (!Number.isInteger(days) || days < 1) {
+                throw queryError(`일 수가 잘못되었습니다: ${token.value} (예: 미착용:60)`, token.start, token.end);
+            }
+            return img => matchesWearFilter(img, days) ? 1 : 0;
+        }
+        default:
+            return compileFieldQueryTerm(field.key, token, score);
+    }
+}
+
+// 카테고리 필드: 숫자·별점은 비교/범위, 날짜 필드는 날짜 범위, 나머지는 글자 비교
+function compileFieldQueryTerm(key, token, score) {
+    const type = getCategoryType(appState.structuredTagsConfig[key]);
+    if (type === 'number' || type === 'rating') {
+        const inRange = parseQueryNumberRange(token.value, token);
+        return img => getStructuredValueList(img, key).some(value => inRange(Number(value))) ? 1 : 0;
+    }
+    if (type === 'date') {
+        const { from, to } = parseQueryDateRange(token.value, token);
+        return img => getStructuredValueList(img, key).some(value => {
+            const [year, month, day] = value.split('-').map(Number);
+            const time = new Date(year, month - 1, day).getTime();
+            return time >= from && time < to;
+        }) ? 1 : 0;
+    }
+    return img => score(getStructuredValueList(img, key));
+}
+
+// 가격:<50000 / >=4 / 10000..30000 (양쪽 중 하나 생략 가능, 양끝 포함) / 4 → number => boolean
+function parseQueryNumberRange(value, token) {
+    const parse = text => {
+        const number = Number(text.replace(/,/g, ''));
+        if (!text || !Number.isFinite(number)) {
+            throw queryError(`숫자 형식이 잘못되었습니다: ${text} (예: <50000, 3..5)`, token.start, token.end);
+        }
+        return number;
+    };
+
+    const comparison = value.match(/^(>=|<=|>|<|=)(.+)$/);
+    if (comparison) {
+        const number = parse(comparison[2]);
+        switch (comparison[1]) {
+            case '>': return n => n > number;
+            case '>=': return n => n >= number;
+            case '<': return n => n < number;
+            case '<=': return n => n <= number;
+            default: return n => n === number;
+        }
+    }
+
+    if (value.includes('..')) {
+        const [startText, endText] = value.split('..');
+        if (!startText && !endText) throw queryError('숫자 범위가 비어 있습니다', token.start, token.end);
+        const from = startText ? parse(startText) : -Infinity;
+        const to = endText ? parse(endText) : Infinity;
+        if (from > to) throw queryError('범위의 시작이 끝보다 큽니다', token.start, token.end);
+        return n => n >= from && n <= to;
+    }
+
+    const number = parse(value);
+    return n => n === number;
+}
+
+// 날짜:2024-05 / >=2024-03 / <2024 / 2024-01..2024-03 (양쪽 중 하나 생략 가능) → [from, to)
+function parseQueryDateRange(value, token) {
+    const comparison = value.match(/^(>=|<=|>|<)(.+)$/);
+    if (comparison) {
+        const period = parseQueryDate(comparison[2], token);
+        switch (comparison[1]) {
+            case '>': return { from: period.end, to: Infinity };
+            case '>=': return { from: period.start, to: Infinity };
+            case '<': return { from: -Infinity, to: period.start };
+            default: return { from: -Infinity, to: period.end };
+        }
+    }
+
+    if (value.includes('..')) {
+        const [startText, endText] = value.split('..');
+        if (!startText && !endText) throw queryError('날짜 범위가 비어 있습니다', token.start, token.end);
+        const from = startText ? parseQueryDate(startText, token).start : -Infinity;
+        const to = endText ? parseQueryDate(endText, token).end : Infinity;
+        if (from >= to) throw queryError('시작 날짜가 끝 날짜보다 늦습니다', token.start, token.end);
+        return { from, to };
+    }
+
+    const period = parseQueryDate(value, token);
+    return { from: period.start, to: period.end };
+}
+
+// YYYY / YYYY-MM / YYYY-MM-DD (구분자 - . /) → 그 기간의 [start, end) (로컬 시간)
+function parseQueryDate(text, token) {
+    const match = text.match(/^(\d{4})(?:[-./](\d{1,2})(?:[-./](\d{1,2}))?)?$/);
+    const invalid = () => queryError(`날짜 형식이 잘못되었습니다: ${text} (예: 2024-05, 2024-05-01)`, token.start, token.end);
+    if (!match) throw invalid();
+
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+    if (month !== null && (month < 0 || month > 11)) throw invalid();
+
+    const start = new Date(year, month ?? 0, day ?? 1);
+    if (day !== null && start.getDate() !== day) throw invalid();
+
+    const end = day !== null ? new Date(year, month, day + 1)
+        : month !== null ? new Date(year, month + 1, 1)
+        : new Date(year + 1, 0, 1);
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+function renderSearchQueryError(error, inputId = 'searchInput', errorId = 'searchQueryError') {
+    const input = document.getElementById(inputId);
+    const container = document.getElementById(errorId);
+    if (!input || !container) return;
+
+    input.classList.toggle('invalid', !!error);
+    if (!error) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const { start, end } = error.queryPosition;
+    const text = input.value;
+    const snippet = text.slice(start, Math.max(end, start + 1)).trim();
+    container.textContent = snippet ? `${error.message} · "${snippet}"` : error.message;
+    container.style.display = 'block';
+}
+
+// ----- Autocomplete -----
+let searchSuggestionState = { items: [], active: 0, start: 0, end: 0 };
+
+function quoteQueryValue(value) {
+    return /[\s()"|:]/.test(value) || value === 'OR' ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+// 필드명으로 쓸 이름 - 공백이 있는 라벨은 키로 대신함
+function queryFieldName(key) {
+    const label = appState.structuredTagsConfig[key].label;
+    return /[\s:()"|]/.test(label) ? key : label;
+}
+
+function getQueryFieldValues(field) {
+    if (field.type === 'tag') return appState.allFreeTags;
+    if (field.type === 'structured') return getFieldQueryExamples(field.key);
+    if (field.type === 'is') return ['태그없음'];
+    if (field.type === 'worn') return ['0', '>=3', '1..2'];
+    if (field.type === 'unworn') return ['30', '60', '90'];
+    if (field.type === 'date' || field.type === 'captured') {
+        const now = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        return [
+            `${now.getFullYear()}-${pad(now.getMonth() + 1)}`,
+            `>=${now.getFullYear()}-${pad(now.getMonth() + 1)}-01`,
+            `${now.getFullYear()}`,
+        ];
+    }
+    return [];
+}
+
+// 값 목록 대신 입력 예시를 보여주는 카테고리 필드
+function getFieldQueryExamples(key) {
+    const config = appState.structuredTagsConfig[key];
+    switch (getCategoryType(config)) {
+        case 'choice':
+            return config.values;
+        case 'number': {
+            const values = appState.allImages.map(img => Number(img.structuredTags[key])).filter(Number.isFinite);
+            const middle = values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 50000;
+            return [`<${middle}`, `>=${middle}`, `${Math.round(middle / 2)}..${middle}`];
+        }
+        case 'rating':
+            return ['>=4', '5', '1..2'];
+        case 'date':
+            return getQueryFieldValues({ type: 'date' });
+        default:
+            return [...new Set(appState.allImages.flatMap(img => getStructuredValueList(img, key)))];
+    }
+}
+
+// 범위를 쓰는 값은 따옴표로 감싸지 않음 (< > .. 그대로)
+function isRangeQueryField(field) {
+    if (field.type === 'date' || field.type === 'captured') return true;
+    return field.type === 'structured' && RANGE_FIELD_TYPES.includes(getCategoryType(appState.structuredTagsConfig[field.key]));
+}
+
+// 커서 위치의 단어를 기준으로 필드명 또는 값 후보를 만듦
+function getSearchSuggestions(text, caret) {
+    let start = caret;
+    const quotesBefore = (text.slice(0, caret).match(/"/g) || []).length;
+    if (quotesBefore % 2 === 1) start = text.lastIndexOf('"', caret - 1);
+    while (start > 0 && !/[\s(|]/.test(text[start - 1])) start--;
+    if (text[start] === '-') start++;
+
+    let end = caret;
+    if (quotesBefore % 2 === 0) {
+        while (end < text.length && !/[\s()|]/.test(text[end])) end++;
+    }
+
+    const word = text.slice(start, caret);
+    if (!word) return { items: [], start, end };
+
+    const collect = (candidates, partial, toItem) =>
+        rankBySearch(candidates, partial, candidate => [candidate]).map(toItem);
+
+    const fieldMatch = word.match(/^([^\s:()"|]+):(.*)$/);
+    if (fieldMatch) {
+        const field = resolveQueryField(fieldMatch[1]);
+        if (!field) return { items: [], start, end };
+        const partial = fieldMatch[2].replace(/^"/, '').toLowerCase();
+        const items = collect(getQueryFieldValues(field), partial, value => ({
+            label: value,
+            hint: fieldMatch[1],
+            insert: `${fieldMatch[1]}:${isRangeQueryField(field) ? value : quoteQueryValue(value)} `,
+        })).filter(item => item.insert.trim() !== word);
+        return { items: items.slice(0, MAX_SEARCH_SUGGESTIONS), start, end };
+    }
+
+    const partial = word.replace(/^"/, '').toLowerCase();
+    const fieldNames = [...Object.keys(appState.structuredTagsConfig).map(queryFieldName), ...QUERY_FIELD_NAMES];
+    const items = [
+        ...collect(fieldNames, partial, name => ({ label: `${name}:`, hint: '필드', insert: `${name}:` })),
+        ...Object.entries(appState.structuredTagsConfig).flatMap(([key, config]) =>
+            collect(config.values, partial, value => ({
+                label: value,
+                hint: config.label,
+                insert: `${queryFieldName(key)}:${quoteQueryValue(value)} `,
+            }))),
+        ...collect(appState.allFreeTags, partial, tag => ({
+            label: tag,
+            hint: '태그',
+            insert: `태그:${quoteQueryValue(tag)} `,
+        })),
+    ];
+    return { items: items.slice(0, MAX_SEARCH_SUGGESTIONS), start, end };
+}
+
+function renderSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const container = document.getElementById('searchSuggestions');
+    if (!input || !container) return;
+
+    const result = getSearchSuggestions(input.value, input.selectionStart ?? input.value.length);
+    searchSuggestionState = { ...result, active: 0 };
+
+    if (result.items.length === 0 || document.activeElement !== input) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    container.innerHTML = result.items.map((item, index) => `
+        <button class="search-suggestion ${index === 0 ? 'active' : ''}" data-index="${index}">
+            <span>${item.label}</span>
+            <span class="search-suggestion-hint">${item.hint}</span>
+        </button>
+    `).join('');
+    container.style.display = 'block';
+}
+
+function hideSearchSuggestions() {
+    const container = document.getElementById('searchSuggestions');
+    if (container) container.style.display = 'none';
+    searchSuggestionState.items = [];
+}
+
+function acceptSearchSuggestion(index) {
+    const input = document.getElementById('searchInput');
+    const { items, start, end } = searchSuggestionState;
+    const item = items[index];
+    if (!input || !item) return;
+
+    input.value = input.value.slice(0, start) + item.insert + input.value.slice(end);
+    const caret = start + item.insert.length;
+    input.setSelectionRange(caret, caret);
+    input.focus();
+    input.dispatchEvent(new Event('input'));
+}
+
+function setupSearchAutocomplete(input) {
+    const container = document.getElementById('searchSuggestions');
+    if (!container) return;
+
+    input.addEventListener('keydown', (e) => {
+        const state = searchSuggestionState;
+        if (state.items.length === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            state.active = (state.active + step + state.items.length) % state.items.length;
+            container.querySelectorAll('.search-suggestion').forEach((el, index) => {
+                el.classList.toggle('active', index === state.active);
+            });
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            acceptSearchSuggestion(state.active);
+        } else if (e.key === 'Escape') {
+            hideSearchSuggestions();
+        }
+    });
+
+    input.addEventListener('focus', renderSearchSuggestions);
+    input.addEventListener('click', renderSearchSuggestions);
+    input.addEventListener('blur', hideSearchSuggestions);
+
+    // 버튼을 눌러도 입력창 포커스가 빠지지 않게
+    container.addEventListener('mousedown', (e) => e.preventDefault());
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.search-suggestion');
+        if (button) acceptSearchSuggestion(Number(button.dataset.index));
+    });
+}
+
+// ====== Search Tab - Saved Searches ======
+// 저장된 검색 = 이름 + 검색 조건. 결과는 저장하지 않으므로 태그가 바뀌면 개수·결과도 바로 바뀜
+function saveSavedSearches() {
+    invalidateSavedSearchCounts();
+    localStorage.setItem('savedSearches', JSON.stringify(appState.savedSearches));
+}
+
+function getCurrentSearchState() {
+    return {
+        structuredFilters: JSON.parse(JSON.stringify(appState.structuredFilters)),
+        activeFreeTags: [...appState.activeFreeTags],
+        filterMode: appState.filterMode,
+        dateRange: { ...appState.dateRange },
+        wearFilter: appState.wearFilter,
+        sortBy: appState.sortBy,
+        query: document.getElementById('searchInput')?.value.trim() || '',
+    };
+}
+
+function isSameSearchState(a, b) {
+    const pick = state => canonicalJSON({
+        // 빈 필터 값은 비교에서 제외 (카테고리가 추가·삭제돼도 같은 검색으로 봄)
+        structuredFilters: Object.fromEntries(Object.entries(state.structuredFilters)
+            .filter(([, v]) => Array.isArray(v) ? v.length > 0 : v)),
+        activeFreeTags: [...state.activeFreeTags].sort(),
+        filterMode: state.activeFreeTags.length > 1 ? state.filterMode : 'and',
+        dateRange: { from: state.dateRange?.from || '', to: state.dateRange?.to || '' },
+        wearFilter: state.wearFilter || '',
+        sortBy: state.sortBy,
+        query: state.query,
+    });
+    return pick(a) === pick(b);
+}
+
+// 저장된 검색의 결과 수 캐시 (search.id → 개수). 검색어를 칠 때마다 모든 저장된 검색을 다시 돌리지 않도록
+// 이미지·태그·카테고리·저장된 검색이 바뀔 때만 비움
+const savedSearchCounts = new Map();
+
+function invalidateSavedSearchCounts() {
+    savedSearchCounts.clear();
+}
+
+function countSavedSearchResults(search) {
+    if (!savedSearchCounts.has(search.id)) {
+        const { query, results } = searchWithTypoFallback(search.query, predicate => filterImages(search, predicate));
+        savedSearchCounts.set(search.id, query.error ? 0 : results.length);
+    }
+    return savedSearchCounts.get(search.id);
+}
+
+function renderSavedSearches() {
+    const container = document.getElementById('savedSearches');
+    if (!container) return;
+
+    const current = getCurrentSearchState();
+    const chips = appState.savedSearches.map(search => {
+        const active = isSameSearchState(search, current);
+        return `
+            <button class="saved-search-chip ${active ? 'active' : ''}" onclick="applySavedSearch(${search.id})">
+                ${search.name}
+                <span class="saved-search-count">${countSavedSearchResults(search)}</span>
+                ${active ? `<span class="saved-search-edit" onclick="event.stopPropagation(); openSavedSearchModal(${search.id})">⋯</span>` : ''}
+            </button>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <button class="saved-search-add" onclick="openSavedSearchModal(null)">☆ 검색 저장</button>
+        ${chips}
+    `;
+}
+
+function applySavedSearch(id) {
+    const search = appState.savedSearches.find(s => s.id === id);
+    if (!search) return;
+    applySearchState(search);
+}
+
+// 검색 조건({ structuredFilters, activeFreeTags, filterMode, dateRange, wearFilter, sortBy, query })을 검색 탭에 적용
+function applySearchState(search) {
+    // 지금 있는 카테고리 기준으로 필터를 다시 만듦 (삭제된 카테고리는 무시)
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const saved = search.structuredFilters[key];
+        if (!isChoiceCategory(config)) {
+            appState.structuredFilters[key] = isFieldRange(saved) ? { min: saved.min ?? '', max: saved.max ?? '' } : null;
+            continue;
+        }
+        appState.structuredFilters[key] = config.multi
+            ? (Array.isArray(saved) ? [...saved] : [])
+            : (typeof saved === 'string' ? saved : null);
+    }
+    appState.activeFreeTags = [...search.activeFreeTags];
+    appState.filterMode = search.filterMode;
+    appState.dateRange = { from: search.dateRange?.from || '', to: search.dateRange?.to || '' };
+    appState.wearFilter = search.wearFilter || '';
+    appState.sortBy = search.sortBy;
+
+    document.querySelectorAll('input[name="filterMode"]').forEach(radio => {
+        radio.checked = radio.value === search.filterMode;
+    });
+    renderSortOptions();
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = search.query;
+    const clearBtn = document.getElementById('searchClearBtn');
+    if (clearBtn) clearBtn.style.display = search.query ? 'flex' : 'none';
+
+    applyFilters();
+}
+
+function describeSearchState(state) {
+    const parts = [];
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const value = state.structuredFilters[key];
+        if (!isChoiceCategory(config)) {
+            if (isFieldRange(value)) parts.push(describeFieldRange(config, value));
+            continue;
+        }
+        const values = Array.isArray(value) ? value : value ? [value] : [];
+        if (values.length > 0) parts.push(`${config.label}: ${values.join(', ')}`);
+    }
+    if (state.activeFreeTags.length > 0) {
+        const mode = state.activeFreeTags.length > 1 ? (state.filterMode === 'and' ? ' (모두)' : ' (하나라도)') : '';
+        parts.push(`태그: ${state.activeFreeTags.join(', ')}${mode}`);
+    }
+    if (state.dateRange?.from || state.dateRange?.to) {
+        parts.push(`촬영일: ${state.dateRange.from || '처음'} ~ ${state.dateRange.to || '지금'}`);
+    }
+    if (state.wearFilter) parts.push(`착용: ${describeWearFilter(state.wearFilter)}`);
+    if (state.query) parts.push(`검색어: ${state.query}`);
+    parts.push(getSortLabel(state.sortBy));
+    return parts.join(' · ');
+}
+
+// id가 null이면 현재 검색을 새로 저장, 있으면 이름 변경·조건 갱신·삭제
+function openSavedSearchModal(id) {
+    const search = id === null ? null : appState.savedSearches.find(s => s.id === id);
+    const current = getCurrentSearchState();
+    appState.editingSavedSearchId = search ? search.id : null;
+
+    document.getElementById('savedSearchModalTitle').textContent = search ? '저장된 검색 수정' : '검색 저장';
+    document.getElementById('savedSearchNameInput').value = search ? search.name : '';
+    document.getElementById('savedSearchSummary').textContent = describeSearchState(search || current);
+    document.getElementById('savedSearchDeleteBtn').style.display = search ? '' : 'none';
+
+    // 저장된 조건과 지금 검색이 다를 때만 '현재 검색으로 바꾸기' 표시
+    const updateRow = document.getElementById('savedSearchUpdateRow');
+    const canUpdate = !!search && !isSameSearchState(search, current);
+    updateRow.style.display = canUpdate ? '' : 'none';
+    document.getElementById('savedSearchUpdateCheck').checked = false;
+    document.getElementById('savedSearchCurrentSummary').textContent = canUpdate ? describeSearchState(current) : '';
+
+    openModal('savedSearchModal');
+    document.getElementById('savedSearchNameInput').focus();
+}
+
+function saveSavedSearch() {
+    const name = document.getElementById('savedSearchNameInput').value.trim();
+    if (!name) {
+        showToast('이름을 입력해주세요');
+        return;
+    }
+
+    const id = appState.editingSavedSearchId;
+    if (appState.savedSearches.some(s => s.name === name && s.id !== id)) {
+        showToast('같은 이름의 검색이 이미 있습니다');
+        return;
+    }
+
+    if (id === null) {
+        appState.savedSearches.push({ id: Date.now(), name, ...getCurrentSearchState(), createdAt: new Date().toISOString() });
+    } else {
+        const search = appState.savedSearches.find(s => s.id === id);
+        if (!search) return;
+        search.name = name;
+        if (document.getElementById('savedSearchUpdateCheck').checked) {
+            Object.assign(search, getCurrentSearchState());
+        }
+    }
+
+    saveSavedSearches();
+    closeModal('savedSearchModal');
+    renderSavedSearches();
+    showToast('저장됨');
+}
+
+function deleteSavedSearch() {
+    const id = appState.editingSavedSearchId;
+    const search = appState.savedSearches.find(s => s.id === id);
+    if (!search || !confirm(`'${search.name}' 검색을 삭제하시겠습니까?`)) return;
+
+    appState.savedSearches = appState.savedSearches.filter(s => s.id !== id);
+    saveSavedSearches();
+    closeModal('savedSearchModal');
+    renderSavedSearches();
+    showToast('삭제됨');
+}
+
+// ====== Archive Tab ======
+function renderArchiveGrid() {
+    const grid = document.getElementById('archiveGrid');
+    const empty = document.getElementById('archiveEmptyState');
+
+    if (!grid || !empty) return;
+
+    renderCollectionsBar();
+    const images = getArchiveViewImages();
+
+    if (images.length === 0) {
+        appState.grids.archive.setItems([]);
+        renderTimelineScrubber([]);
+        empty.querySelector('p').textContent = appState.activeCollectionId
+            ? '컬렉션이 비어 있어요 (편집 → 이미지 선택 → 컬렉션)'
+            : '이미지가 없어요';
+        empty.style.display = 'block';
+        return;
+    }
+
+    empty.style.display = 'none';
+
+    if (isTimelineActive()) {
+        const items = buildTimelineItems(images, getTimelineMode());
+        appState.grids.archive.setItems(items);
+        renderTimelineScrubber(items.filter(item => item.header));
+    } else {
+        appState.grids.archive.setItems(images);
+        renderTimelineScrubber([]);
+    }
+}
+
+// 최신순 (타임라인을 켜면 촬영 시각 기준)
+function getArchiveImages() {
+    const timeOf = getTimelineMode() === 'off' ? img => new Date(img.createdAt).getTime() : getCaptureTime;
+    return [...appState.allImages].sort((a, b) => timeOf(b) - timeOf(a));
+}
+
+function createImageCard(img, source) {
+    const card = document.createElement('div');
+    card.className = 'image-card' + (appState.selectedImageIds.has(img.id) ? ' selected' : '');
+    card.dataset.id = img.id;
+    card.onclick = () => onImageCardClick(img.id, source);
+    card.innerHTML = `<img src="${img.thumbnail}" alt="image" loading="lazy" decoding="async" style="object-fit: contain;">`;
+    return card;
+}
+
+function onImageCardClick(imageId, source) {
+    if (appState.collectionReorder && source === 'archive') return;
+    if (appState.selectMode) {
+        toggleImageSelection(imageId);
+    } else {
+        openViewer(imageId, source);
+    }
+}
+
+// ====== Archive Timeline ======
+// 보관함을 촬영 시각 기준으로 월·계절별로 묶어 헤더와 함께 보여줌 (컬렉션을 열었을 때는 제외)
+const TIMELINE_SEASONS = ['봄', '여름', '가을', '겨울'];
+
+let timelineSections = [];
+
+function getTimelineMode() {
+    return localStorage.getItem('archiveTimeline') || 'off';
+}
+
+function isTimelineActive() {
+    return getTimelineMode() !== 'off' && !appState.activeCollectionId;
+}
+
+// 겨울은 12월~다음 해 2월을 12월이 속한 해로 묶음
+function getTimelineGroup(time, mode) {
+    const date = new Date(time);
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    if (mode === 'month') {
+        return { key: `${year}-${month + 1}`, label: `${year}년 ${month + 1}월` };
+    }
+    const season = Math.floor(((month + 10) % 12) / 3);
+    const seasonYear = month < 2 ? year - 1 : year;
+    return { key: `${seasonYear}-s${season}`, label: `${seasonYear}년 ${TIMELINE_SEASONS[season]}` };
+}
+
+// 이미지(촬영 시각 최신순) 사이에 묶음마다 헤더 항목을 끼워 넣음
+function buildTimelineItems(images, mode) {
+    const items = [];
+    let header = null;
+    images.forEach(img => {
+        const group = getTimelineGroup(getCaptureTime(img), mode);
+        if (header?.key !== group.key) {
+            header = { id: `timeline-${group.key}`, header: true, key: group.key, label: group.label, count: 0 };
+            items.push(header);
+        }
+        header.count++;
+        items.push(img);
+    });
+    return items;
+}
+
+function createTimelineHeader(header) {
+    const element = document.createElement('div');
+    element.className = 'timeline-header';
+    element.innerHTML = `${header.label}<span class="timeline-header-count">${header.count}</span>`;
+    return element;
+}
+
+function updateTimelineSticky(header) {
+    const sticky = document.getElementById('timelineSticky');
+    if (!sticky) return;
+    sticky.style.display = header ? 'block' : 'none';
+    if (header) sticky.querySelector('span').textContent = header.label;
+}
+
+// 스크러버: 오른쪽 막대를 누르거나 끌면 그 비율에 해당하는 묶음으로 이동
+function renderTimelineScrubber(sections) {
+    timelineSections = sections;
+    const scrubber = document.getElementById('timelineScrubber');
+    if (!scrubber) return;
+
+    scrubber.style.display = sections.length > 1 ? 'block' : 'none';
+    let lastYear = null;
+    scrubber.querySelector('.timeline-scrubber-years').innerHTML = sections.map((section, i) => {
+        const year = section.key.slice(0, 4);
+        if (year === lastYear) return '';
+        lastYear = year;
+        return `<span style="top: ${i / sections.length * 100}%;">${year.slice(2)}</span>`;
+    }).join('');
+}
+
+function scrubTimeline(clientY) {
+    const scrubber = document.getElementById('timelineScrubber');
+    if (!scrubber || timelineSections.length === 0) return;
+
+    const rect = scrubber.getBoundingClientRect();
+    const ratio = Math.min(0.999, Math.max(0, (clientY - rect.top) / rect.height));
+    const section = timelineSections[Math.floor(ratio * timelineSections.length)];
+    appState.grids.archive.scrollToItem(section.id);
+
+    const bubble = scrubber.querySelector('.timeline-scrubber-bubble');
+    bubble.textContent = section.label;
+    bubble.style.top = `${ratio * 100}%`;
+    bubble.style.display = 'block';
+}
+
+function setupTimelineEventListeners() {
+    const modeSelect = document.getElementById('archiveTimeline');
+    if (modeSelect) {
+        modeSelect.value = getTimelineMode();
+        modeSelect.addEventListener('change', () => {
+            localStorage.setItem('archiveTimeline', modeSelect.value);
+            renderArchiveGrid();
+        });
+    }
+
+    const scrubber = document.getElementById('timelineScrubber');
+    if (!scrubber) return;
+    let scrubbing = false;
+    scrubber.addEventListener('pointerdown', (e) => {
+        scrubbing = true;
+        scrubber.setPointerCapture(e.pointerId);
+        scrubber.classList.add('active');
+        scrubTimeline(e.clientY);
+    });
+    scrubber.addEventListener('pointermove', (e) => {
+        if (scrubbing) scrubTimeline(e.clientY);
+    });
+    const stop = () => {
+        scrubbing = false;
+        scrubber.classList.remove('active');
+        scrubber.querySelector('.timeline-scrubber-bubble').style.display = 'none';
+    };
+    scrubber.addEventListener('pointerup', stop);
+    scrubber.addEventListener('pointercancel', stop);
+}
+
+// ====== Virtualized Grid ======
+// 화면 근처의 행만 카드로 만들고 나머지는 padding으로 높이만 유지
+// item.header가 있으면 한 줄을 통째로 쓰는 구분 헤더 (보관함 타임라인)
+const GRID_OVERSCAN_ROWS = 3;
+const GRID_HEADER_HEIGHT = 44;   // styles.css .timeline-header
+
+function initImageGrids() {
+    appState.grids.search = createVirtualGrid(
+        document.getElementById('searchGrid'),
+        img => createImageCard(img, 'search')
+    );
+    appState.grids.archive = createVirtualGrid(
+        document.getElementById('archiveGrid'),
+        item => item.header ? createTimelineHeader(item) : createImageCard(item, 'archive'),
+        { onHeaderChange: updateTimelineSticky }
+    );
+}
+
+function refreshImageGrids() {
+    Object.values(appState.grids).forEach(grid => grid?.refresh());
+}
+
+// onHeaderChange(header | null): 화면 맨 위를 지나간 마지막 헤더
+function createVirtualGrid(container, renderCard, { onHeaderChange = null } = {}) {
+    const scroller = document.querySelector('.main-content');
+    let items = [];
+    let cards = new Map();
+    let columns = 1;
+    let rowHeight = 0;
+    let rowGap = 0;
+    let rows = [];       // 행마다 첫 항목의 인덱스
+    let rowTops = [0];   // 행의 시작 위치 (마지막 값은 전체 높이)
+    let rowHeaders = []; // 행마다 그 행을 포함하는 헤더 인덱스 (없으면 -1)
+    let frame = null;
+
+    const isVisible = () => container.offsetParent !== null;
+
+    function measure() {
+        const style = getComputedStyle(container);
+        const tracks = style.gridTemplateColumns.split(' ').map(parseFloat).filter(w => w > 0);
+        columns = Math.max(1, tracks.length);
+        rowGap = parseFloat(style.rowGap) || 0;
+        // .image-card는 aspect-ratio 4/5
+        rowHeight = (tracks[0] || container.clientWidth) * 5 / 4 + rowGap;
+        layout();
+    }
+
+    function layout() {
+        rows = [];
+        rowTops = [0];
+        rowHeaders = [];
+        let header = -1;
+        let i = 0;
+        while (i < items.length) {
+            rows.push(i);
+            if (items[i].header) {
+                header = i;
+                i++;
+                rowTops.push(rowTops[rowTops.length - 1] + GRID_HEADER_HEIGHT + rowGap);
+            } else {
+                const rowEnd = Math.min(items.length, i + columns);
+                while (i < rowEnd && !items[i].header) i++;
+                rowTops.push(rowTops[rowTops.length - 1] + rowHeight);
+            }
+            rowHeaders.push(header);
+        }
+    }
+
+    // offset 위치에 있는 행 (범위 밖이면 가장 가까운 행, 항목이 없으면 0)
+    function rowAt(offset) {
+        let low = 0;
+        let high = rows.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (rowTops[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(0, low);
+    }
+
+    function rowOf(index) {
+        let low = 0;
+        let high = rows.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (rows[mid] <= index) low = mid;
+            else high = mid - 1;
+        }
+        return Math.max(0, low);
+    }
+
+    // 스크롤 영역 안에서 그리드가 시작하는 위치 기준의 현재 스크롤 위치
+    function viewportOffset() {
+        const top = container.getBoundingClientRect().top - scroller.getBoundingClientRect().top;
+        return -top;
+    }
+
+    function render() {
+        frame = null;
+        if (!isVisible()) return;
+        measure();
+
+        const totalRows = rows.length;
+        const viewTop = viewportOffset();
+        const firstRow = Math.min(totalRows, Math.max(0, rowAt(viewTop) - GRID_OVERSCAN_ROWS));
+        const lastRow = Math.min(totalRows, Math.max(firstRow, rowAt(viewTop + scroller.clientHeight) + 1 + GRID_OVERSCAN_ROWS));
+        const startIndex = firstRow < totalRows ? rows[firstRow] : items.length;
+        const endIndex = lastRow < totalRows ? rows[lastRow] : items.length;
+
+        const nextCards = new Map();
+        const elements = items.slice(startIndex, endIndex).map(item => {
+            const card = cards.get(item.id) || renderCard(item);
+            nextCards.set(item.id, card);
+            return card;
+        });
+        cards = nextCards;
+
+        container.style.paddingTop = rowTops[firstRow] + 'px';
+        container.style.paddingBottom = (rowTops[totalRows] - rowTops[lastRow]) + 'px';
+
+        const children = container.children;
+        const unchanged = elements.length === children.length && elements.every((el, i) => children[i] === el);
+        if (!unchanged) container.replaceChildren(...elements);
+
+        if (onHeaderChange) {
+            // 헤더 줄이 화면 위로 올라간 뒤부터 알림
+            const row = rowAt(viewTop);
+            const header = totalRows > 0 && viewTop > 0 ? rowHeaders[row] : -1;
+            onHeaderChange(header !== -1 && rows[row] !== header ? items[header] : null);
+        }
+    }
+
+    function schedule() {
+        if (!frame) frame = requestAnimationFrame(render);
+    }
+
+    // 필터가 바뀌어도 화면 맨 위에 있던 이미지가 남아 있으면 그 위치를 유지
+    function setItems(nextItems) {
+        let anchor = null;
+        if (isVisible() && rowHeight > 0 && items.length > 0) {
+            const viewTop = viewportOffset();
+            if (viewTop > 0) {
+                const row = rowAt(viewTop);
+                const item = items[rows[row]];
+                if (item) anchor = { id: item.id, offset: viewTop - rowTops[row] };
+            }
+        }
+
+        items = nextItems;
+        render();
+
+        if (anchor) {
+            const index = items.findIndex(item => item.id === anchor.id);
+            if (index !== -1) {
+                scroller.scrollTop += rowTops[rowOf(index)] + anchor.offset - viewportOffset();
+                render();
+            }
+        }
+    }
+
+    function updateItem(item) {
+        const index = items.findIndex(i => i.id === item.id);
+        if (index === -1) return;
+        items[index] = item;
+
+        const oldCard = cards.get(item.id);
+        if (oldCard) {
+            const newCard = renderCard(item);
+            oldCard.replaceWith(newCard);
+            cards.set(item.id, newCard);
+        }
+    }
+
+    function removeItem(id) {
+        items = items.filter(item => item.id !== id);
+        cards.delete(id);
+        render();
+    }
+
+    // 순서 편집용: 스크롤 위치를 건드리지 않고 항목 하나의 위치만 바꿈
+    function moveItem(fromIndex, toIndex) {
+        const [item] = items.splice(fromIndex, 1);
+        items.splice(toIndex, 0, item);
+        render();
+    }
+
+    // 화면 좌표에 해당하는 항목 인덱스 (그리드 밖이면 가장 가까운 칸)
+    function indexAt(clientX, clientY) {
+        measure();
+        const rect = container.getBoundingClientRect();
+        const row = rowAt(clientY - rect.top);
+        const start = rows[row] ?? 0;
+        if (items[start]?.header) return start;
+        const column = Math.min(columns - 1, Math.max(0, Math.floor((clientX - rect.left) / (rect.width / columns))));
+        const rowEnd = row + 1 < rows.length ? rows[row + 1] : items.length;
+        return Math.min(rowEnd - 1, start + column);
+    }
+
+    // 항목이 있는 줄을 화면 맨 위로
+    function scrollToItem(id) {
+        const index = items.findIndex(item => item.id === id);
+        if (index === -1) return;
+        measure();
+        scroller.scrollTop += rowTops[rowOf(index)] - viewportOffset();
+        render();
+    }
+
+    scroller.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+
+    return {
+        setItems,
+        updateItem,
+        removeItem,
+        moveItem,
+        indexAt,
+        scrollToItem,
+        refresh: schedule,
+    };
+}
+
+// ====== Multi-Select & Bulk Edit ======
+function enterSelectMode() {
+    setCollectionReorder(false);
+    appState.selectMode = true;
+    appState.selectedImageIds.clear();
+
+    document.querySelector('.header-title').style.display = 'none';
+    document.getElementById('selectModeBar').style.display = 'flex';
+    document.getElementById('editModeBtn').style.display = 'none';
+    document.getElementById('editDoneBtn').style.display = 'block';
+    document.getElementById('multiActionBar').style.display = 'flex';
+    document.documentElement.style.setProperty('--actionbar-height', document.getElementById('multiActionBar').offsetHeight + 'px');
+    document.querySelector('.app').classList.add('select-mode');
+
+    updateSelectionUI();
+}
+
+function exitSelectMode() {
+    appState.selectMode = false;
+    appState.selectedImageIds.clear();
+
+    document.querySelector('.header-title').style.display = '';
+    document.getElementById('selectModeBar').style.display = 'none';
+    document.getElementById('editModeBtn').style.display = 'block';
+    document.getElementById('editDoneBtn').style.display = 'none';
+    document.getElementById('multiActionBar').style.display = 'none';
+    document.documentElement.style.setProperty('--actionbar-height', '0px');
+    document.querySelector('.app').classList.remove('select-mode');
+
+    document.querySelectorAll('.image-card.selected').forEach(card => card.classList.remove('selected'));
+}
+
+function setImageSelected(imageId, selected) {
+    if (selected) {
+        appState.selectedImageIds.add(imageId);
+    } else {
+        appState.selectedImageIds.delete(imageId);
+    }
+    document.querySelectorAll(`.image-card[data-id="${imageId}"]`).forEach(card => {
+        card.classList.toggle('selected', selected);
+    });
+}
+
+function toggleImageSelection(imageId) {
+    setImageSelected(imageId, !appState.selectedImageIds.has(imageId));
+    updateSelectionUI();
+}
+
+// 현재 탭에서 보이는 이미지 (검색 탭은 검색 결과, 보관함은 전체 또는 열린 컬렉션)
+function getSelectableImages() {
+    const isSearch = document.getElementById('searchTab')?.classList.contains('active');
+    return isSearch ? appState.filteredImages : getArchiveViewImages();
+}
+
+function toggleSelectAll() {
+    const images = getSelectableImages();
+    const allSelected = images.length > 0 && images.every(img => appState.selectedImageIds.has(img.id));
+    images.forEach(img => setImageSelected(img.id, !allSelected));
+    updateSelectionUI();
+}
+
+function updateSelectionUI() {
+    const count = appState.selectedImageIds.size;
+    const images = getSelectableImages();
+    const allSelected = images.length > 0 && images.every(img => appState.selectedImageIds.has(img.id));
+
+    document.getElementById('selectCountText').textContent = `${count}개 선택`;
+    document.getElementById('selectAllBtn').textContent = allSelected ? '전체 해제' : '전체 선택';
+    document.getElementById('bulkEditBtn').disabled = count === 0;
+    document.getElementById('bulkDeleteBtn').disabled = count === 0;
+    document.getElementById('bulkCollectionBtn').disabled = count === 0;
+
+    // 열린 컬렉션에서는 '빼기' 표시
+    const removeBtn = document.getElementById('bulkRemoveFromCollectionBtn');
+    const inCollection = !!appState.activeCollectionId && document.getElementById('archiveTab')?.classList.contains('active');
+    removeBtn.style.display = inCollection ? '' : 'none';
+    removeBtn.disabled = count === 0;
+}
+
+function setupSelectModeEventListeners() {
+    document.getElementById('editModeBtn')?.addEventListener('click', enterSelectMode);
+    document.getElementById('editDoneBtn')?.addEventListener('click', exitSelectMode);
+    document.getElementById('selectAllBtn')?.addEventListener('click', toggleSelectAll);
+    document.getElementById('bulkEditBtn')?.addEventListener('click', openBulkEditModal);
+    document.getElementById('bulkDeleteBtn')?.addEventListener('click', bulkDeleteImages);
+    document.getElementById('bulkCollectionBtn')?.addEventListener('click', () => {
+        openCollectionPicker([...appState.selectedImageIds]);
+    });
+    document.getElementById('bulkRemoveFromCollectionBtn')?.addEventListener('click', removeSelectedFromCollection);
+    document.getElementById('bulkApplyBtn')?.addEventListener('click', applyBulkEdit);
+    document.getElementById('bulkTagPickerBtn')?.addEventListener('click', () => {
+        appState.currentTagPickerTarget = 'bulk';
+        openTagPicker();
+    });
+
+    ['searchGrid', 'archiveGrid'].forEach(id => {
+        const grid = document.getElementById(id);
+        if (grid) setupDragSelect(grid);
+    });
+}
+
+// 드래그 선택: 마우스는 바로, 터치는 길게 누른 뒤 끌어서 여러 장 선택
+function setupDragSelect(grid) {
+    const scroller = document.querySelector('.main-content');
+    let drag = null;
+    let suppressClick = false;
+
+    const cardAt = (x, y) => document.elementFromPoint(x, y)?.closest('.image-card');
+
+    const applyDrag = (e) => {
+        const card = cardAt(e.clientX, e.clientY);
+        if (card && grid.contains(card)) {
+            const id = Number(card.dataset.id);
+            if (!drag.visited.has(id)) {
+                drag.visited.add(id);
+                setImageSelected(id, drag.selecting);
+                updateSelectionUI();
+            }
+        }
+
+        // 가장자리에서 자동 스크롤
+        const rect = scroller.getBoundingClientRect();
+        if (e.clientY < rect.top + 40) scroller.scrollTop -= 12;
+        else if (e.clientY > rect.bottom - 40) scroller.scrollTop += 12;
+    };
+
+    grid.addEventListener('pointerdown', (e) => {
+        if (!appState.selectMode || e.button > 0) return;
+        const card = e.target.closest('.image-card');
+        if (!card) return;
+
+        const id = Number(card.dataset.id);
+        drag = {
+            startId: id,
+            startX: e.clientX,
+            startY: e.clientY,
+            selecting: !appState.selectedImageIds.has(id),
+            visited: new Set(),
+            active: false,
+            timer: null,
+        };
+
+        if (e.pointerType !== 'mouse') {
+            drag.timer = setTimeout(() => {
+                if (!drag) return;
+                drag.active = true;
+                applyDrag(e);
+                navigator.vibrate?.(10);
+            }, 350);
+        }
+    });
+
+    grid.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const moved = Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > 10;
+
+        if (!drag.active) {
+            if (!moved) return;
+            if (e.pointerType !== 'mouse') {
+                // 길게 누르기 전에 움직이면 스크롤로 처리
+                clearTimeout(drag.timer);
+                drag = null;
+                return;
+            }
+            drag.active = true;
+            drag.visited.add(drag.startId);
+            setImageSelected(drag.startId, drag.selecting);
+        }
+        applyDrag(e);
+    });
+
+    grid.addEventListener('touchmove', (e) => {
+        if (drag?.active) e.preventDefault();
+    }, { passive: false });
+
+    const endDrag = () => {
+        if (!drag) return;
+        clearTimeout(drag.timer);
+        if (drag.active) {
+            suppressClick = true;
+            updateSelectionUI();
+        }
+        drag = null;
+    };
+    grid.addEventListener('pointerup', endDrag);
+    grid.addEventListener('pointercancel', endDrag);
+
+    grid.addEventListener('click', (e) => {
+        if (suppressClick) {
+            e.stopPropagation();
+            suppressClick = false;
+        }
+    }, true);
+}
+
+function openBulkEditModal() {
+    const count = appState.selectedImageIds.size;
+    if (count === 0) return;
+
+    appState.bulkEdit = {
+        addTags: [],
+        removeTags: [],
+        structured: {},
+    };
+    for (const key of Object.keys(appState.structuredTagsConfig)) {
+        appState.bulkEdit.structured[key] = { clear: false, add: [], remove: [] };
+    }
+
+    document.getElementById('bulkEditTitle').textContent = `${count}개 일괄 편집`;
+    document.getElementById('bulkMemo').value = '';
+    renderBulkEditModal();
+    openModal('bulkEditModal');
+}
+
+function renderBulkEditModal() {
+    const bulk = appState.bulkEdit;
+    if (!bulk) return;
+
+    document.getElementById('bulkAddFreeTags').innerHTML = bulk.addTags.map(tag => `
+        <div class="tag-selected">
+            ${tag}
+            <span class="tag-remove" onclick="toggleBulkAddTag('${tag}')">✕</span>
+        </div>
+    `).join('');
+
+    // 선택한 이미지에 실제로 붙어 있는 태그만 제거 후보로 표시
+    const tagCounts = {};
+    appState.allImages.forEach(img => {
+        if (!appState.selectedImageIds.has(img.id)) return;
+        img.freeTags.forEach(tag => {
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        });
+    });
+    const presentTags = Object.keys(tagCounts).sort();
+    document.getElementById('bulkRemoveFreeTags').innerHTML = presentTags.length === 0
+        ? '<span class="text-secondary">선택한 이미지에 자유 태그가 없어요</span>'
+        : presentTags.map(tag => `
+            <button class="edit-structured-chip ${bulk.removeTags.includes(tag) ? 'removing' : ''}"
+                    onclick="toggleBulkRemoveTag('${tag}')">
+                ${tag} <span class="text-secondary">${tagCounts[tag]}</span>
+            </button>
+        `).join('');
+
+    let html = '';
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const state = bulk.structured[key];
+        const chips = config.values.map(value => {
+            const stateClass = state.add.includes(value) ? 'selected' : state.remove.includes(value) ? 'removing' : '';
+            return `
+                <button class="edit-structured-chip ${stateClass}"
+                        onclick="cycleBulkStructuredValue('${key}', '${value}')">
+                    ${value}
+                </button>
+            `;
+        }).join('');
+        html += `
+            <div class="edit-tag-category">
+                <span class="edit-tag-label">${config.label}:</span>
+                <div class="edit-tag-chips">
+                    ${chips}
+                    <button class="edit-structured-chip ${state.clear ? 'removing' : ''}"
+                            onclick="toggleBulkStructuredClear('${key}')">
+                        비우기
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+    document.getElementById('bulkStructuredTags').innerHTML = html;
+}
+
+function toggleBulkAddTag(tag) {
+    const bulk = appState.bulkEdit;
+    const index = bulk.addTags.indexOf(tag);
+    if (index !== -1) {
+        bulk.addTags.splice(index, 1);
+    } else {
+        bulk.addTags.push(tag);
+        bulk.removeTags = bulk.removeTags.filter(t => t !== tag);
+    }
+    renderBulkEditModal();
+}
+
+function toggleBulkRemoveTag(tag) {
+    const bulk = appState.bulkEdit;
+    const index = bulk.removeTags.indexOf(tag);
+    if (index !== -1) {
+        bulk.removeTags.splice(index, 1);
+    } else {
+        bulk.removeTags.push(tag);
+        bulk.addTags = bulk.addTags.filter(t => t !== tag);
+    }
+    renderBulkEditModal();
+}
+
+// 유지 → 추가(설정) → 제거 → 유지
+function cycleBulkStructuredValue(key, value) {
+    const config = appState.structuredTagsConfig[key];
+    const state = appState.bulkEdit.structured[key];
+
+    if (state.add.includes(value)) {
+        state.add = state.add.filter(v => v !== value);
+        state.remove.push(value);
+    } else if (state.remove.includes(value)) {
+        state.remove = state.remove.filter(v => v !== value);
+    } else {
+        // 단일선택은 한 값만 설정할 수 있음
+        state.add = config.multi ? [...state.add, value] : [value];
+        state.clear = false;
+    }
+    renderBulkEditModal();
+}
+
+function toggleBulkStructuredClear(key) {
+    const state = appState.bulkEdit.structured[key];
+    state.clear = !state.clear;
+    if (state.clear) {
+        state.add = [];
+        state.remove = [];
+    }
+    renderBulkEditModal();
+}
+
+function applyBulkChangesToImage(img, bulk, memo) {
+    const freeTags = img.freeTags.filter(tag => !bulk.removeTags.includes(tag));
+    bulk.addTags.forEach(tag => {
+        if (!freeTags.includes(tag)) freeTags.push(tag);
+    });
+    img.freeTags = freeTags;
+
+    for (const [key, state] of Object.entries(bulk.structured)) {
+        const config = appState.structuredTagsConfig[key];
+        if (!config) continue;
+
+        if (config.multi) {
+            let values = state.clear ? [] : (img.structuredTags[key] || []).filter(v => !state.remove.includes(v));
+            state.add.forEach(v => {
+                if (!values.includes(v)) values.push(v);
+            });
+            img.structuredTags[key] = values;
+        } else if (state.clear) {
+            img.structuredTags[key] = null;
+        } else if (state.add.length > 0) {
+            img.structuredTags[key] = state.add[0];
+        } else if (state.remove.includes(img.structuredTags[key])) {
+            img.structuredTags[key] = null;
+        }
+    }
+
+    if (memo) {
+        img.memo = img.memo ? `${img.memo}\n${memo}` : memo;
+    }
+}
+
+async function applyBulkEdit() {
+    const bulk = appState.bulkEdit;
+    if (!bulk) return;
+
+    const memo = document.getElementById('bulkMemo').value.trim();
+    const targets = appState.allImages.filter(img => appState.selectedImageIds.has(img.id));
+
+    closeModal('bulkEditModal');
+    showProgress(targets.length);
+
+    let failed = 0;
+    for (let i = 0; i < targets.length; i++) {
+        // 사본에 적용해서 저장하고, 저장된 것만 화면의 이미지에 반영
+        const updated = { ...targets[i], structuredTags: { ...targets[i].structuredTags } };
+        try {
+            applyBulkChangesToImage(updated, bulk, memo);
+            await dbUpdateImage(updated);
+            Object.assign(targets[i], updated);
+        } catch (error) {
+            console.error('Bulk edit error:', error);
+            failed++;
+        }
+        updateProgress(i + 1, targets.length);
+    }
+
+    const newTags = bulk.addTags.filter(tag => !appState.allFreeTags.includes(tag));
+    if (newTags.length > 0) {
+        appState.allFreeTags.push(...newTags);
+        appState.allFreeTags.sort();
+        await dbSaveFreeTags(appState.allFreeTags);
+    }
+
+    appState.bulkEdit = null;
+    hideProgress();
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    applyFilters();
+    renderArchiveGrid();
+    updateSelectionUI();
+    showToast(failed > 0 ? `${targets.length - failed}개 저장됨 (${failed}개 실패)` : `${targets.length}개 저장됨`);
+}
+
+async function bulkDeleteImages() {
+    const ids = [...appState.selectedImageIds];
+    if (ids.length === 0) return;
+    if (!confirm(`${ids.length}개 이미지를 휴지통으로 옮기시겠습니까?`)) return;
+
+    let entries;
+    try {
+        entries = await moveImagesToTrash(ids);
+    } catch (error) {
+        console.error('Bulk delete error:', error);
+        showToast('삭제하지 못했어요');
+        return;
+    }
+
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    applyFilters();
+    renderArchiveGrid();
+    updateSelectionUI();
+    showTrashUndoToast(entries, `${entries.length}개 휴지통으로 옮김`);
+}
+
+// ====== Collections ======
+// 컬렉션 = 이름 + 이미지 ID 목록 (목록 순서가 곧 표시 순서). 한 이미지가 여러 컬렉션에 속할 수 있음
+function getCollection(id) {
+    return appState.collections.find(c => c.id === id) || null;
+}
+
+function getCollectionImages(collection) {
+    const byId = new Map(appState.allImages.map(img => [img.id, img]));
+    return collection.imageIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+// 보관함 탭에 보이는 이미지: 열린 컬렉션이 있으면 그 순서대로, 아니면 전체 최신순
+function getArchiveViewImages() {
+    const collection = getCollection(appState.activeCollectionId);
+    return collection ? getCollectionImages(collection) : getArchiveImages();
+}
+
+// 삭제된 이미지를 컬렉션·코디에서 정리 (DB 쪽은 dbTrashImages가 같은 트랜잭션에서 처리)
+function forgetImageReferences(imageIds) {
+    const removed = new Set(imageIds);
+    appState.collections.forEach(collection => {
+        collection.imageIds = collection.imageIds.filter(id => !removed.has(id));
+    });
+    appState.looks = appState.looks.map(look => [...removed].reduce(removeImageFromLook, look));
+}
+
+async function persistCollection(collection) {
+    collection.updatedAt = new Date().toISOString();
+    await dbSaveCollection(collection);
+}
+
+function renderCollectionsBar() {
+    const bar = document.getElementById('collectionsBar');
+    const header = document.getElementById('collectionHeader');
+    if (!bar || !header) return;
+
+    const active = getCollection(appState.activeCollectionId);
+    if (active) {
+        bar.style.display = 'none';
+        header.style.display = 'flex';
+        document.getElementById('collectionTitle').textContent = active.name;
+        document.getElementById('collectionCount').textContent = `${getCollectionImages(active).length}개`;
+        document.getElementById('collectionReorderBtn').textContent = appState.collectionReorder ? '완료' : '순서 편집';
+        return;
+    }
+
+    header.style.display = 'none';
+    bar.style.display = 'flex';
+    const untagged = appState.allImages.filter(isUntaggedImage).length;
+    bar.innerHTML = `
+        <button class="collection-chip collection-add" onclick="createCollection([])">+ 새 컬렉션</button>
+        ${untagged > 0 ? `
+            <button class="collection-chip collection-inbox" onclick="openInbox()">
+                태그 없음
+                <span class="collection-chip-count">${untagged}</span>
+            </button>
+        ` : ''}
+        ${appState.collections.map(collection => {
+            const images = getCollectionImages(collection);
+            const cover = images[0] ? `<img src="${images[0].thumbnail}" alt="">` : '';
+            return `
+                <button class="collection-chip" onclick="openCollection(${collection.id})">
+                    ${cover}${collection.name}
+                    <span class="collection-chip-count">${images.length}</span>
+                </button>
+            `;
+        }).join('')}
+    `;
+}
+
+function openCollection(id) {
+    if (appState.selectMode) exitSelectMode();
+    appState.activeCollectionId = id;
+    document.querySelector('.main-content').scrollTop = 0;
+    renderArchiveGrid();
+}
+
+function closeCollection() {
+    if (appState.selectMode) exitSelectMode();
+    setCollectionReorder(false);
+    appState.activeCollectionId = null;
+    renderArchiveGrid();
+}
+
+function askCollectionName(defaultName, excludeId) {
+    const name = prompt('컬렉션 이름을 입력하세요', defaultName)?.trim();
+    if (!name) return null;
+    if (appState.collections.some(c => c.name === name && c.id !== excludeId)) {
+        showToast('같은 이름의 컬렉션이 이미 있습니다');
+        return null;
+    }
+    return name;
+}
+
+async function createCollection(imageIds) {
+    const name = askCollectionName('', null);
+    if (!name) return null;
+
+    const now = new Date().toISOString();
+    const collection = { id: Date.now(), name, imageIds: [...imageIds], createdAt: now, updatedAt: now };
+    await dbSaveCollection(collection);
+    appState.collections.push(collection);
+    renderCollectionsBar();
+    showToast(imageIds.length > 0 ? `'${name}'에 ${imageIds.length}개 추가됨` : '컬렉션을 만들었어요');
+    return collection;
+}
+
+async function renameActiveCollection() {
+    const collection = getCollection(appState.activeCollectionId);
+    if (!collection) return;
+    const name = askCollectionName(collection.name, collection.id);
+    if (!name || name === collection.name) return;
+
+    collection.name = name;
+    await persistCollection(collection);
+    renderCollectionsBar();
+}
+
+async function deleteActiveCollection() {
+    const collection = getCollection(appState.activeCollectionId);
+    if (!collection) return;
+    if (!confirm(`'${collection.name}' 컬렉션을 삭제하시겠습니까? (이미지는 삭제되지 않습니다)`)) return;
+
+    await dbDeleteCollection(collection.id);
+    appState.collections = appState.collections.filter(c => c.id !== collection.id);
+    closeCollection();
+    showToast('삭제됨');
+}
+
+async function removeSelectedFromCollection() {
+    const collection = getCollection(appState.activeCollectionId);
+    const ids = new Set(appState.selectedImageIds);
+    if (!collection || ids.size === 0) return;
+
+    collection.imageIds = collection.imageIds.filter(id => !ids.has(id));
+    await persistCollection(collection);
+    ids.forEach(id => appState.selectedImageIds.delete(id));
+    renderArchiveGrid();
+    updateSelectionUI();
+    showToast(`${ids.size}개를 컬렉션에서 뺐어요`);
+}
+
+// ----- 컬렉션 선택 (편집 화면 / 다중 선택에서) -----
+function openCollectionPicker(imageIds) {
+    if (imageIds.length === 0) return;
+    appState.collectionPickerImageIds = imageIds;
+    renderCollectionPicker();
+    openModal('collectionPickerModal');
+}
+
+function renderCollectionPicker() {
+    const list = document.getElementById('collectionPickerList');
+    if (!list) return;
+
+    const ids = appState.collectionPickerImageIds;
+    document.getElementById('collectionPickerTitle').textContent =
+        ids.length > 1 ? `${ids.length}개 이미지를 컬렉션에` : '컬렉션에 추가';
+
+    if (appState.collections.length === 0) {
+        list.innerHTML = '<p class="collection-picker-empty">컬렉션이 없어요</p>';
+        return;
+    }
+
+    list.innerHTML = appState.collections.map(collection => {
+        const contained = ids.filter(id => collection.imageIds.includes(id)).length;
+        return `
+            <label class="checkbox-item collection-picker-item">
+                <input type="checkbox" data-id="${collection.id}" ${contained === ids.length ? 'checked' : ''}
+                       ${contained > 0 && contained < ids.length ? 'data-partial="true"' : ''}
+                       onchange="setCollectionMembership(${collection.id}, this.checked)">
+                <span class="collection-picker-name">${collection.name}</span>
+                <span class="collection-chip-count">${getCollectionImages(collection).length}</span>
+            </label>
+        `;
+    }).join('');
+
+    // 일부만 들어 있으면 중간 상태로 표시
+    list.querySelectorAll('input[data-partial]').forEach(input => { input.indeterminate = true; });
+}
+
+// 추가는 컬렉션 끝에 붙임
+async function setCollectionMembership(collectionId, included) {
+    const collection = getCollection(collectionId);
+    if (!collection) return;
+
+    const ids = appState.collectionPickerImageIds;
+    collection.imageIds = included
+        ? [...collection.imageIds, ...ids.filter(id => !collection.imageIds.includes(id))]
+        : collection.imageIds.filter(id => !ids.includes(id));
+    await persistCollection(collection);
+
+    renderCollectionPicker();
+    renderEditCollections();
+    if (appState.activeCollectionId === collectionId) {
+        renderArchiveGrid();
+    } else {
+        renderCollectionsBar();
+    }
+}
+
+async function createCollectionFromPicker() {
+    const collection = await createCollection(appState.collectionPickerImageIds);
+    if (!collection) return;
+    renderCollectionPicker();
+    renderEditCollections();
+}
+
+function renderEditCollections() {
+    const container = document.getElementById('editCollections');
+    if (!container) return;
+
+    const imageId = appState.currentEditImageId;
+    const names = appState.collections
+        .filter(collection => collection.imageIds.includes(imageId))
+        .map(collection => `<span class="collection-tag">${collection.name}</span>`);
+    container.innerHTML = names.length > 0 ? names.join('') : '<span class="collection-tag-empty">없음</span>';
+}
+
+// ----- 순서 편집 -----
+function setCollectionReorder(enabled) {
+    if (appState.collectionReorder === enabled) return;
+    if (enabled && appState.selectMode) exitSelectMode();
+    appState.collectionReorder = enabled;
+    document.getElementById('archiveGrid')?.classList.toggle('reordering', enabled);
+    renderCollectionsBar();
+}
+
+// 마우스는 바로, 터치는 길게 눌러서 끌기 (그 전 움직임은 스크롤)
+function setupCollectionReorder(grid) {
+    const scroller = document.querySelector('.main-content');
+    let drag = null;
+
+    const followPointer = (e) => {
+        const card = drag.card;
+        card.style.transform = '';
+        const rect = card.getBoundingClientRect();
+        card.style.transform = `translate(${e.clientX - drag.grabX - rect.left}px, ${e.clientY - drag.grabY - rect.top}px) scale(1.05)`;
+    };
+
+    const start = (e) => {
+        drag.active = true;
+        drag.card.classList.add('dragging');
+        navigator.vibrate?.(10);
+        followPointer(e);
+    };
+
+    grid.addEventListener('pointerdown', (e) => {
+        if (!appState.collectionReorder || e.button > 0) return;
+        const card = e.target.closest('.image-card');
+        if (!card) return;
+
+        const rect = card.getBoundingClientRect();
+        drag = {
+            card,
+            order: getArchiveViewImages().map(img => img.id),
+            id: Number(card.dataset.id),
+            grabX: e.clientX - rect.left,
+            grabY: e.clientY - rect.top,
+            startX: e.clientX,
+            startY: e.clientY,
+            active: false,
+            timer: null,
+        };
+        grid.setPointerCapture?.(e.pointerId);
+
+        if (e.pointerType === 'mouse') {
+            start(e);
+        } else {
+            drag.timer = setTimeout(() => {
+                if (drag && !drag.active) start(e);
+            }, 350);
+        }
+    });
+
+    grid.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        if (!drag.active) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > 10) {
+                clearTimeout(drag.timer);
+                drag = null;
+            }
+            return;
+        }
+
+        const from = drag.order.indexOf(drag.id);
+        const to = appState.grids.archive.indexAt(e.clientX, e.clientY);
+        if (to !== -1 && to !== from) {
+            drag.order.splice(to, 0, ...drag.order.splice(from, 1));
+            appState.grids.archive.moveItem(from, to);
+        }
+        followPointer(e);
+
+        // 가장자리에서 자동 스크롤
+        const rect = scroller.getBoundingClientRect();
+        if (e.clientY < rect.top + 40) scroller.scrollTop -= 12;
+        else if (e.clientY > rect.bottom - 40) scroller.scrollTop += 12;
+    });
+
+    grid.addEventListener('touchmove', (e) => {
+        if (drag?.active) e.preventDefault();
+    }, { passive: false });
+
+    const end = async () => {
+        if (!drag) return;
+        clearTimeout(drag.timer);
+        const { active, card, order } = drag;
+        drag = null;
+        if (!active) return;
+
+        card.classList.remove('dragging');
+        card.style.transform = '';
+
+        const collection = getCollection(appState.activeCollectionId);
+        if (!collection) return;
+        // 화면에 없는(삭제된) ID는 이 기회에 정리됨
+        collection.imageIds = order;
+        await persistCollection(collection);
+    };
+    grid.addEventListener('pointerup', end);
+    grid.addEventListener('pointercancel', end);
+}
+
+function setupCollectionEventListeners() {
+    document.getElementById('collectionBackBtn')?.addEventListener('click', closeCollection);
+    document.getElementById('collectionReorderBtn')?.addEventListener('click', () => {
+        setCollectionReorder(!appState.collectionReorder);
+    });
+    document.getElementById('collectionRenameBtn')?.addEventListener('click', renameActiveCollection);
+    document.getElementById('collectionDeleteBtn')?.addEventListener('click', deleteActiveCollection);
+    document.getElementById('collectionPickerCreateBtn')?.addEventListener('click', createCollectionFromPicker);
+    document.getElementById('editCollectionBtn')?.addEventListener('click', () => {
+        openCollectionPicker([appState.currentEditImageId]);
+    });
+
+    const grid = document.getElementById('archiveGrid');
+    if (grid) setupCollectionReorder(grid);
+}
+
+// ====== Looks (Outfit Builder) ======
+// 코디 = { id, name, items: { 슬롯(아이템 카테고리 값): 이미지 ID }, createdAt, updatedAt }
+const LOOK_CANDIDATE_LIMIT = 60;
+
+function getItemSlots() {
+    return appState.structuredTagsConfig.itemCategory?.values || [];
+}
+
+function removeImageFromLook(look, imageId) {
+    if (!Object.values(look.items).includes(imageId)) return look;
+    return {
+        ...look,
+        items: Object.fromEntries(Object.entries(look.items).filter(([, id]) => id !== imageId)),
+    };
+}
+
+// 설정의 슬롯 순서대로, 이름이 바뀐 예전 슬롯은 뒤에
+function getLookItems(look) {
+    const byId = new Map(appState.allImages.map(img => [img.id, img]));
+    const slots = getItemSlots();
+    return Object.entries(look.items)
+        .map(([slot, id]) => ({ slot, image: byId.get(id) }))
+        .filter(item => item.image)
+        .sort((a, b) => {
+            const ia = slots.indexOf(a.slot);
+            const ib = slots.indexOf(b.slot);
+            return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+        });
+}
+
+// 구성 아이템들의 태그를 합친 검색용 레코드 (검색어 문법을 그대로 사용)
+function composeLookSearchRecord(look) {
+    const items = getLookItems(look);
+    const structuredTags = {};
+    items.forEach(({ image }) => {
+        Object.keys(image.structuredTags).forEach(key => {
+            structuredTags[key] = [...(structuredTags[key] || []), ...getStructuredValueList(image, key)];
+        });
+    });
+    return {
+        structuredTags,
+        freeTags: [...new Set(items.flatMap(({ image }) => image.freeTags))],
+        memo: [look.name, ...items.map(({ image }) => image.memo)].filter(Boolean).join('\n'),
+        createdAt: look.createdAt,
+        wornDates: getWornDates(look),
+    };
+}
+
+function renderLookLayout(look) {
+    const items = getLookItems(look);
+    if (items.length === 0) return '<div class="look-layout empty">아이템 없음</div>';
+
+    return `
+        <div class="look-layout ${items.length % 2 === 1 ? 'odd' : ''}">
+            ${items.map(({ slot, image }) => `
+                <div class="look-layout-item" data-id="${image.id}">
+                    <img src="${image.thumbnail}" alt="${slot}" loading="lazy" decoding="async">
+                    <span class="look-slot-label">${slot}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderLooks() {
+    const grid = document.getElementById('looksGrid');
+    const empty = document.getElementById('looksEmptyState');
+    if (!grid || !empty) return;
+
+    const { query, results } = searchWithTypoFallback(
+        document.getElementById('looksSearchInput')?.value || '',
+        predicate => appState.looks.filter(look => !predicate || predicate(composeLookSearchRecord(look)))
+    );
+    renderSearchQueryError(query.error, 'looksSearchInput', 'looksSearchError');
+
+    const looks = results
+        .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+
+    empty.style.display = looks.length === 0 ? 'block' : 'none';
+    empty.querySelector('p').textContent = appState.looks.length === 0 ? '저장된 코디가 없어요' : '검색 결과가 없어요';
+
+    grid.innerHTML = looks.map(look => `
+        <div class="look-card" onclick="openLookView(${look.id})">
+            ${renderLookLayout(look)}
+            <div class="look-card-name">${look.name}</div>
+        </div>
+    `).join('');
+}
+
+// ----- 코디 보기 -----
+function openLookView(id) {
+    const look = appState.looks.find(l => l.id === id);
+    if (!look) return;
+
+    appState.currentLookId = id;
+    document.getElementById('lookViewTitle').textContent = look.name;
+    document.getElementById('lookViewLayout').innerHTML = renderLookLayout(look);
+    renderLookWearSummary();
+    openModal('lookViewModal');
+}
+
+async function deleteCurrentLook() {
+    const look = appState.looks.find(l => l.id === appState.currentLookId);
+    if (!look || !confirm(`'${look.name}' 코디를 삭제하시겠습니까? (이미지는 삭제되지 않습니다)`)) return;
+
+    await dbDeleteLook(look.id);
+    appState.looks = appState.looks.filter(l => l.id !== look.id);
+    closeModal('lookViewModal');
+    renderLooks();
+    showToast('삭제됨');
+}
+
+// ----- 코디 만들기 -----
+function openLookBuilder(lookId) {
+    if (!appState.structuredTagsConfig.itemCategory) {
+        showToast('아이템 카테고리(itemCategory)가 있어야 코디를 만들 수 있어요');
+        return;
+    }
+
+    const look = lookId ? appState.looks.find(l => l.id === lookId) : null;
+    appState.lookBuilder = {
+        id: look ? look.id : null,
+        items: look ? { ...look.items } : {},
+        filters: {},
+    };
+
+    document.getElementById('lookBuilderTitle').textContent = look ? '코디 수정' : '새 코디';
+    document.getElementById('lookNameInput').value = look ? look.name : '';
+    renderLookBuilder();
+    openModal('lookBuilderModal');
+}
+
+// 아이템 카테고리를 뺀 구조화 태그로 후보를 거름 (카테고리 안은 OR, 카테고리끼리는 AND)
+function getLookCandidates(slot) {
+    const { filters } = appState.lookBuilder;
+    return getArchiveImages().filter(img => {
+        if (!getStructuredValueList(img, 'itemCategory').includes(slot)) return false;
+        return Object.entries(filters).every(([key, values]) =>
+            values.length === 0 || getStructuredValueList(img, key).some(v => values.includes(v)));
+    });
+}
+
+function renderLookBuilder() {
+    const builder = appState.lookBuilder;
+    const filtersEl = document.getElementById('lookBuilderFilters');
+    const slotsEl = document.getElementById('lookBuilderSlots');
+    if (!builder || !filtersEl || !slotsEl) return;
+
+    filtersEl.innerHTML = Object.entries(appState.structuredTagsConfig)
+        .filter(([key, config]) => key !== 'itemCategory' && isChoiceCategory(config))
+        .map(([key, config]) => `
+            <div class="edit-tag-category">
+                <span class="edit-tag-label">${config.label}:</span>
+                <div class="edit-tag-chips">
+                    ${config.values.map(value => `
+                        <button class="edit-structured-chip ${(builder.filters[key] || []).includes(value) ? 'selected' : ''}"
+                                onclick="toggleLookBuilderFilter('${key}', '${value}')">
+                            ${renderSwatchDot(config, value)}${value}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+    const byId = new Map(appState.allImages.map(img => [img.id, img]));
+    slotsEl.innerHTML = getItemSlots().map(slot => {
+        const pickedId = builder.items[slot];
+        const picked = byId.get(pickedId);
+        // 고른 이미지는 필터와 상관없이 맨 앞에
+        const candidates = getLookCandidates(slot).filter(img => img.id !== pickedId);
+        if (picked) candidates.unshift(picked);
+        const shown = candidates.slice(0, LOOK_CANDIDATE_LIMIT);
+
+        return `
+            <div class="look-slot">
+                <div class="look-slot-header">
+                    <span class="look-slot-name">${slot}</span>
+                    <span class="look-slot-count">${candidates.length}개</span>
+                    ${picked ? `<button class="btn-sm" onclick="pickLookItem('${slot}', null)">비우기</button>` : ''}
+                </div>
+                <div class="look-slot-candidates">
+                    ${shown.length > 0 ? shown.map(img => `
+                        <button class="look-candidate ${img.id === pickedId ? 'selected' : ''}" onclick="pickLookItem('${slot}', ${img.id})">
+                            <img src="${img.thumbnail}" alt="" loading="lazy" decoding="async">
+                        </button>
+                    `).join('') : '<p class="look-slot-empty">조건에 맞는 이미지가 없어요</p>'}
+                    ${candidates.length > shown.length ? `<p class="look-slot-empty">외 ${candidates.length - shown.length}개 · 필터로 좁혀 보세요</p>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function toggleLookBuilderFilter(key, value) {
+    const filters = appState.lookBuilder.filters;
+    const values = filters[key] || [];
+    filters[key] = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+    renderLookBuilder();
+}
+
+function pickLookItem(slot, imageId) {
+    const items = appState.lookBuilder.items;
+    if (imageId === null || items[slot] === imageId) {
+        delete items[slot];
+    } else {
+        items[slot] = imageId;
+    }
+    renderLookBuilder();
+}
+
+async function saveLook() {
+    const builder = appState.lookBuilder;
+    if (!builder) return;
+    if (Object.keys(builder.items).length === 0) {
+        showToast('아이템을 하나 이상 골라주세요');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const existing = appState.looks.find(l => l.id === builder.id);
+    const look = {
+        ...existing,
+        id: existing ? existing.id : Date.now(),
+        name: document.getElementById('lookNameInput').value.trim() || `코디 ${appState.looks.length + 1}`,
+        items: { ...builder.items },
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+    };
+
+    await dbSaveLook(look);
+    appState.looks = [...appState.looks.filter(l => l.id !== look.id), look];
+    appState.lookBuilder = null;
+    closeModal('lookBuilderModal');
+    if (existing && appState.currentLookId === look.id) openLookView(look.id);
+    renderLooks();
+    showToast('저장됨');
+}
+
+function setupLookEventListeners() {
+    document.getElementById('newLookBtn')?.addEventListener('click', () => openLookBuilder(null));
+    document.getElementById('lookSaveBtn')?.addEventListener('click', saveLook);
+    document.getElementById('lookDeleteBtn')?.addEventListener('click', deleteCurrentLook);
+    document.getElementById('lookEditBtn')?.addEventListener('click', () => openLookBuilder(appState.currentLookId));
+    document.getElementById('looksSearchInput')?.addEventListener('input', renderLooks);
+
+    // 코디 보기에서 아이템을 누르면 구성 이미지들을 뷰어로
+    document.getElementById('lookViewLayout')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.look-layout-item');
+        const look = appState.looks.find(l => l.id === appState.currentLookId);
+        if (!item || !look) return;
+        openViewer(Number(item.dataset.id), getLookItems(look).map(({ image }) => image));
+    });
+}
+
+// ====== Wear Log ======
+// 입은 날짜를 이미지·코디 레코드의 wornDates에 기록 (YYYY-MM-DD 로컬 날짜, 오름차순, 중복 없음)
+// 코디를 입으면 코디와 구성 아이템 모두에 기록. 레코드에 함께 저장되므로 백업에도 그대로 포함
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+function toDateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function dateKeyToTime(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+function getWornDates(record) {
+    return record.wornDates || [];
+}
+
+function getWearCount(record) {
+    return getWornDates(record).length;
+}
+
+function getLastWornDate(record) {
+    const dates = getWornDates(record);
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+// 마지막으로 입은 날부터 오늘까지 며칠 (입은 적 없으면 Infinity)
+function getDaysSinceWorn(record, today = new Date()) {
+    const last = getLastWornDate(record);
+    if (!last) return Infinity;
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+    return Math.round((todayStart - dateKeyToTime(last)) / DAY_MS);
+}
+
+function describeLastWorn(record) {
+    const days = getDaysSinceWorn(record);
+    if (days === Infinity) return '입은 기록 없음';
+    const ago = days === 0 ? '오늘' : days === 1 ? '어제' : days < 0 ? `${-days}일 뒤` : `${days}일 전`;
+    return `${getWearCount(record)}번 입음 · 마지막 ${getLastWornDate(record)} (${ago})`;
+}
+
+// 검색 필터: '' 전체, 'never' 한 번도 안 입음, 'N' N일 동안 안 입음 (입은 적 없는 것 포함)
+function matchesWearFilter(record, filter) {
+    if (!filter) return true;
+    if (filter === 'never') return getWearCount(record) === 0;
+    return getDaysSinceWorn(record) >= Number(filter);
+}
+
+function describeWearFilter(filter) {
+    return filter === 'never' ? '한 번도 안 입음' : `${filter}일 동안 안 입음`;
+}
+
+function renderWearFilter() {
+    const select = document.getElementById('wearFilter');
+    if (select) select.value = appState.wearFilter;
+}
+
+// 착용 정렬 (같으면 0 → 최신순)
+function compareByWear(a, b, sortBy) {
+    switch (sortBy) {
+        case 'mostWorn':
+            return getWearCount(b) - getWearCount(a);
+        case 'recentlyWorn':
+            return (getLastWornDate(b) || '').localeCompare(getLastWornDate(a) || '');
+        case 'longestUnworn':
+            return (getLastWornDate(a) || '').localeCompare(getLastWornDate(b) || '');
+        default:
+            return 0;
+    }
+}
+
+// 레코드의 wornDates를 바꿈 (저장은 호출한 쪽에서)
+function setWornOn(record, dateKey, worn) {
+    const dates = getWornDates(record).filter(date => date !== dateKey);
+    record.wornDates = worn ? [...dates, dateKey].sort() : dates;
+}
+
+async function setImageWorn(imageId, dateKey, worn) {
+    const image = appState.allImages.find(img => img.id === imageId);
+    if (!image) return;
+    setWornOn(image, dateKey, worn);
+    await dbUpdateImage(image);
+    refreshAfterWearChange();
+}
+
+function refreshAfterWearChange() {
+    if (appState.wearFilter || ['mostWorn', 'recentlyWorn', 'longestUnworn'].includes(appState.sortBy)) applyFilters();
+    const viewerId = appState.viewer.imageIds[appState.viewer.index];
+    if (isViewerOpen() && viewerId) renderViewerWearButton(viewerId);
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (image) renderEditWearLog(image);
+    if (appState.currentLookId) renderLookWearSummary();
+    if (appState.wearCalendar) renderWearCalendar();
+}
+
+// ----- 뷰어 · 편집 화면 -----
+function renderViewerWearButton(imageId) {
+    const button = document.getElementById('viewerWearBtn');
+    const image = appState.allImages.find(img => img.id === imageId);
+    if (!button || !image) return;
+
+    const wornToday = getWornDates(image).includes(toDateKey(new Date()));
+    button.classList.toggle('selected', wornToday);
+    button.textContent = wornToday ? `✓ 오늘 입음 · ${getWearCount(image)}` : `오늘 입음${getWearCount(image) > 0 ? ` · ${getWearCount(image)}` : ''}`;
+}
+
+async function toggleViewerWornToday() {
+    const imageId = appState.viewer.imageIds[appState.viewer.index];
+    const image = appState.allImages.find(img => img.id === imageId);
+    if (!image) return;
+
+    const today = toDateKey(new Date());
+    const worn = !getWornDates(image).includes(today);
+    await setImageWorn(imageId, today, worn);
+    showToast(worn ? `오늘 입은 옷으로 기록 (${getWearCount(image)}번째)` : '오늘 기록을 지웠어요', async () => {
+        await setImageWorn(imageId, today, !worn);
+    });
+}
+
+function renderEditWearLog(image) {
+    const summary = document.getElementById('editWearSummary');
+    const list = document.getElementById('editWearDates');
+    const input = document.getElementById('editWearDate');
+    if (!summary || !list || !input) return;
+
+    summary.textContent = describeLastWorn(image);
+    input.max = toDateKey(new Date());
+    if (!input.value) input.value = input.max;
+    list.innerHTML = [...getWornDates(image)].reverse().map(date => `
+        <div class="tag-selected">
+            ${date}
+            <span class="tag-remove" onclick="removeWearDateInEdit('${date}')">✕</span>
+        </div>
+    `).join('');
+}
+
+async function addWearDateInEdit() {
+    const date = document.getElementById('editWearDate').value;
+    if (!date) return;
+    await setImageWorn(appState.currentEditImageId, date, true);
+}
+
+async function removeWearDateInEdit(date) {
+    await setImageWorn(appState.currentEditImageId, date, false);
+}
+
+// ----- 코디 -----
+function renderLookWearSummary() {
+    const look = appState.looks.find(l => l.id === appState.currentLookId);
+    const summary = document.getElementById('lookWearSummary');
+    const button = document.getElementById('lookWornBtn');
+    if (!look || !summary || !button) return;
+
+    const wornToday = getWornDates(look).includes(toDateKey(new Date()));
+    summary.textContent = describeLastWorn(look);
+    button.textContent = wornToday ? '✓ 오늘 입음' : '오늘 이 코디 입음';
+    button.classList.toggle('selected', wornToday);
+}
+
+// 코디와 구성 아이템을 한 번에 저장. 코디 때문에 새로 기록한 아이템은 look.wornItemIds[날짜]에 남겨 두고,
+// 지울 때는 그 아이템만 되돌림 (뷰어·편집 화면에서 따로 기록한 날짜는 유지)
+async function toggleLookWornToday() {
+    const look = appState.looks.find(l => l.id === appState.currentLookId);
+    if (!look) return;
+
+    const today = toDateKey(new Date());
+    const worn = !getWornDates(look).includes(today);
+    const apply = async (value) => {
+        const wornItemIds = { ...look.wornItemIds };
+        let images;
+        if (value) {
+            images = getLookItems(look).map(({ image }) => image)
+                .filter(image => !getWornDates(image).includes(today));
+            wornItemIds[today] = images.map(image => image.id);
+        } else {
+            const ids = wornItemIds[today] || [];
+            images = appState.allImages.filter(image => ids.includes(image.id));
+            delete wornItemIds[today];
+        }
+        setWornOn(look, today, value);
+        look.wornItemIds = wornItemIds;
+        images.forEach(image => setWornOn(image, today, value));
+        await dbUpdateImages(images, { looks: [look] });
+        refreshAfterWearChange();
+    };
+
+    await apply(worn);
+    showToast(worn ? '오늘 입은 코디로 기록 (아이템에도 기록)' : '오늘 기록을 지웠어요', () => apply(!worn));
+}
+
+// ----- 착용 달력 -----
+// 날짜 → { images, looks }
+function getWearsByDate() {
+    const byDate = new Map();
+    const entry = date => {
+        if (!byDate.has(date)) byDate.set(date, { images: [], looks: [] });
+        return byDate.get(date);
+    };
+    getArchiveImages().forEach(img => getWornDates(img).forEach(date => entry(date).images.push(img)));
+    appState.looks.forEach(look => getWornDates(look).forEach(date => entry(date).looks.push(look)));
+    return byDate;
+}
+
+function openWearCalendar() {
+    const now = new Date();
+    appState.wearCalendar = { year: now.getFullYear(), month: now.getMonth(), selected: toDateKey(now) };
+    renderWearCalendar();
+    openModal('wearCalendarModal');
+}
+
+function moveWearCalendar(offset) {
+    const calendar = appState.wearCalendar;
+    const date = new Date(calendar.year, calendar.month + offset, 1);
+    calendar.year = date.getFullYear();
+    calendar.month = date.getMonth();
+    renderWearCalendar();
+}
+
+function selectWearDay(date) {
+    appState.wearCalendar.selected = date;
+    renderWearCalendar();
+}
+
+function renderWearCalendar() {
+    const calendar = appState.wearCalendar;
+    const grid = document.getElementById('wearCalendarGrid');
+    const title = document.getElementById('wearCalendarMonth');
+    if (!calendar || !grid || !title) return;
+
+    const byDate = getWearsByDate();
+    const today = toDateKey(new Date());
+    const firstDay = new Date(calendar.year, calendar.month, 1).getDay();
+    const dayCount = new Date(calendar.year, calendar.month + 1, 0).getDate();
+    title.textContent = `${calendar.year}년 ${calendar.month + 1}월`;
+
+    let html = WEEKDAY_LABELS.map(label => `<div class="wear-weekday">${label}</div>`).join('');
+    html += '<div class="wear-day empty"></div>'.repeat(firstDay);
+    for (let day = 1; day <= dayCount; day++) {
+        const date = toDateKey(new Date(calendar.year, calendar.month, day));
+        const wears = byDate.get(date);
+        const first = wears?.images[0];
+        const count = wears ? wears.images.length : 0;
+        html += `
+            <button class="wear-day ${date === calendar.selected ? 'selected' : ''} ${date === today ? 'today' : ''}"
+                    onclick="selectWearDay('${date}')">
+                <span class="wear-day-number">${day}</span>
+                ${first ? `<img src="${first.thumbnail}" alt="" loading="lazy" decoding="async">` : ''}
+                ${count > 1 ? `<span class="wear-day-count">${count}</span>` : ''}
+            </button>
+        `;
+    }
+    grid.innerHTML = html;
+    renderWearDayDetail(byDate.get(calendar.selected));
+}
+
+function renderWearDayDetail(wears) {
+    const container = document.getElementById('wearCalendarDay');
+    const date = appState.wearCalendar.selected;
+    if (!container) return;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = WEEKDAY_LABELS[new Date(year, month - 1, day).getDay()];
+    const heading = `<h3>${month}월 ${day}일 (${weekday})</h3>`;
+    if (!wears) {
+        container.innerHTML = `${heading}<p class="wear-day-empty">입은 기록이 없어요</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        ${heading}
+        ${wears.looks.map(look => `
+            <button class="collection-chip" onclick="openLookView(${look.id})">${look.name}</button>
+        `).join('')}
+        <div class="wear-day-items">
+            ${wears.images.map(img => `
+                <button class="look-candidate" onclick="openWearDayImage(${img.id})">
+                    <img src="${img.thumbnail}" alt="" loading="lazy" decoding="async">
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function openWearDayImage(imageId) {
+    const wears = getWearsByDate().get(appState.wearCalendar.selected);
+    openViewer(imageId, wears ? wears.images : []);
+}
+
+function setupWearEventListeners() {
+    document.getElementById('wearCalendarBtn')?.addEventListener('click', openWearCalendar);
+    document.getElementById('wearCalendarPrev')?.addEventListener('click', () => moveWearCalendar(-1));
+    document.getElementById('wearCalendarNext')?.addEventListener('click', () => moveWearCalendar(1));
+    document.getElementById('viewerWearBtn')?.addEventListener('click', toggleViewerWornToday);
+    document.getElementById('editWearAddBtn')?.addEventListener('click', addWearDateInEdit);
+    document.getElementById('lookWornBtn')?.addEventListener('click', toggleLookWornToday);
+}
+
+// ====== Outfit Suggestion ======
+// 아이템 카테고리 슬롯마다 조건에 맞는 이미지를 하나씩 골라 코디를 추천 (슬롯 머신처럼 잠그고 다시 돌리기)
+// 같은 시드·조건·기록이면 항상 같은 결과 (suggestOutfit)
+const SUGGESTION_HISTORY_LIMIT = 30;
+const DEFAULT_SUGGESTION_SETTINGS = {
+    filters: {},            // { 카테고리 키: [값] } - 카테고리 안은 OR, 카테고리끼리는 AND
+    seasonTags: [],         // 자유 태그 중 계절 (하나라도 있으면 통과)
+    excludeWornDays: 7,     // 최근 N일 동안 입은 옷 빼기 (0이면 안 뺌)
+    excludeSuggested: true, // 최근에 추천했던 옷 빼기
+    skippedSlots: [],       // 추천하지 않을 슬롯
+};
+
+// mulberry32 - 시드 하나로 0 이상 1 미만의 수열을 만듦
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function nextSuggestionSeed(seed) {
+    return Math.floor(createSeededRandom(seed)() * 4294967296);
+}
+
+function getCurrentSeasonTag() {
+    const season = TIMELINE_SEASONS[Math.floor(((new Date().getMonth() + 10) % 12) / 3)];
+    return appState.allFreeTags.includes(season) ? season : null;
+}
+
+// 저장된 조건에서 지금 없는 카테고리·값·태그·슬롯은 뺌
+function loadSuggestionSettings() {
+    const saved = JSON.parse(localStorage.getItem('suggestionSettings') || 'null');
+    const settings = { ...DEFAULT_SUGGESTION_SETTINGS, ...saved };
+    if (!saved) {
+        const season = getCurrentSeasonTag();
+        settings.seasonTags = season ? [season] : [];
+    }
+
+    settings.filters = Object.fromEntries(Object.entries(settings.filters)
+        .filter(([key]) => key !== 'itemCategory' && appState.structuredTagsConfig[key] && isChoiceCategory(appState.structuredTagsConfig[key]))
+        .map(([key, values]) => [key, values.filter(value => appState.structuredTagsConfig[key].values.includes(value))]));
+    settings.seasonTags = settings.seasonTags.filter(tag => appState.allFreeTags.includes(tag));
+    settings.skippedSlots = settings.skippedSlots.filter(slot => getItemSlots().includes(slot));
+    return settings;
+}
+
+function saveSuggestionSettings() {
+    localStorage.setItem('suggestionSettings', JSON.stringify(appState.suggestion.settings));
+}
+
+// 최근에 추천했던 이미지 ID (최근 것부터)
+function getSuggestionHistory() {
+    return JSON.parse(localStorage.getItem('suggestionHistory') || '[]');
+}
+
+function rememberSuggestedItems(imageIds) {
+    const history = [...imageIds, ...getSuggestionHistory().filter(id => !imageIds.includes(id))]
+        .slice(0, SUGGESTION_HISTORY_LIMIT);
+    localStorage.setItem('suggestionHistory', JSON.stringify(history));
+}
+
+// 슬롯 후보 (ID 순). relax면 최근 착용·추천 제외를 적용하지 않음
+function getSuggestionCandidates(slot, settings, { relax = false } = {}) {
+    const seasonTags = settings.seasonTags.map(expandFreeTag);
+    const recent = new Set(settings.excludeSuggested && !relax ? getSuggestionHistory() : []);
+
+    return appState.allImages.filter(img => {
+        if (!getStructuredValueList(img, 'itemCategory').includes(slot)) return false;
+        const matchesFilters = Object.entries(settings.filters).every(([key, values]) =>
+            values.length === 0 || getStructuredValueList(img, key).some(v => values.includes(v)));
+        if (!matchesFilters) return false;
+        if (seasonTags.length > 0 && !seasonTags.some(expanded => hasExpandedFreeTag(img, expanded))) return false;
+        if (relax) return true;
+        if (settings.excludeWornDays > 0 && getDaysSinceWorn(img) < settings.excludeWornDays) return false;
+        return !recent.has(img.id);
+    }).sort((a, b) => a.id - b.id);
+}
+
+// 슬롯 순서대로 난수를 하나씩 씀 (잠근·뺀 슬롯도) → 슬롯을 잠가도 나머지 슬롯 결과는 그대로
+// 제외 조건 때문에 후보가 없으면 그 슬롯만 제외 조건을 풀고 고름 (relaxed)
+// → { items: { 슬롯: 이미지 ID | null }, relaxed: [슬롯] }
+function suggestOutfit(seed, settings, locked = {}) {
+    const random = createSeededRandom(seed);
+    const items = {};
+    const relaxed = [];
+
+    getItemSlots().forEach(slot => {
+        const roll = random();
+        if (settings.skippedSlots.includes(slot)) return;
+        if (slot in locked) {
+            items[slot] = locked[slot];
+            return;
+        }
+
+        let candidates = getSuggestionCandidates(slot, settings);
+        if (candidates.length === 0) {
+            candidates = getSuggestionCandidates(slot, settings, { relax: true });
+            if (candidates.length > 0) relaxed.push(slot);
+        }
+        items[slot] = candidates.length > 0 ? candidates[Math.floor(roll * candidates.length)].id : null;
+    });
+
+    return { items, relaxed };
+}
+
+function openSuggestion() {
+    if (!appState.structuredTagsConfig.itemCategory) {
+        showToast('아이템 카테고리(itemCategory)가 있어야 코디를 추천할 수 있어요');
+        return;
+    }
+
+    appState.suggestion = {
+        seed: Date.now() >>> 0,
+        settings: loadSuggestionSettings(),
+        locked: new Set(),
+        items: {},
+        relaxed: [],
+    };
+    document.getElementById('suggestNameInput').value = '';
+    rollSuggestion();
+    openModal('suggestModal');
+}
+
+// 지금 시드로 다시 고름 (조건을 바꿨을 때)
+function rollSuggestion() {
+    const suggestion = appState.suggestion;
+    // 휴지통으로 옮긴 이미지는 잠가 둔 슬롯이라도 다시 고름
+    const locked = Object.fromEntries([...suggestion.locked]
+        .filter(slot => isLiveImageId(suggestion.items[slot]))
+        .map(slot => [slot, suggestion.items[slot]]));
+    const { items, relaxed } = suggestOutfit(suggestion.seed, suggestion.settings, locked);
+    suggestion.items = items;
+    suggestion.relaxed = relaxed;
+    renderSuggestion();
+}
+
+function isLiveImageId(id) {
+    return !!id && appState.allImages.some(img => img.id === id);
+}
+
+function getUnlockedSuggestedIds() {
+    const suggestion = appState.suggestion;
+    return Object.entries(suggestion.items)
+        .filter(([slot, id]) => id && !suggestion.locked.has(slot))
+        .map(([, id]) => id);
+}
+
+// 넘긴 추천은 "최근 추천"으로 기록하고 다음 시드로
+function shuffleSuggestion() {
+    const suggestion = appState.suggestion;
+    rememberSuggestedItems(getUnlockedSuggestedIds());
+    suggestion.seed = nextSuggestionSeed(suggestion.seed);
+    rollSuggestion();
+}
+
+// 한 슬롯만 다시 돌림 (나머지는 잠근 것처럼 유지)
+function rerollSuggestionSlot(slot) {
+    const suggestion = appState.suggestion;
+    const current = suggestion.items[slot];
+    if (current) rememberSuggestedItems([current]);
+
+    const locked = Object.fromEntries(Object.entries(suggestion.items).filter(([key, id]) => key !== slot && id));
+    suggestion.seed = nextSuggestionSeed(suggestion.seed);
+    const { items, relaxed } = suggestOutfit(suggestion.seed, suggestion.settings, locked);
+    suggestion.items[slot] = items[slot];
+    suggestion.relaxed = [...suggestion.relaxed.filter(s => s !== slot), ...relaxed];
+    renderSuggestion();
+}
+
+function toggleSuggestionLock(slot) {
+    const locked = appState.suggestion.locked;
+    if (locked.has(slot)) {
+        locked.delete(slot);
+    } else {
+        locked.add(slot);
+    }
+    renderSuggestion();
+}
+
+function toggleSuggestionSlot(slot) {
+    const settings = appState.suggestion.settings;
+    settings.skippedSlots = settings.skippedSlots.includes(slot)
+        ? settings.skippedSlots.filter(s => s !== slot)
+        : [...settings.skippedSlots, slot];
+    saveSuggestionSettings();
+    rollSuggestion();
+}
+
+function toggleSuggestionFilter(key, value) {
+    const filters = appState.suggestion.settings.filters;
+    const values = filters[key] || [];
+    filters[key] = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+    saveSuggestionSettings();
+    rollSuggestion();
+}
+
+function toggleSuggestionSeason(tag) {
+    const settings = appState.suggestion.settings;
+    settings.seasonTags = settings.seasonTags.includes(tag)
+        ? settings.seasonTags.filter(t => t !== tag)
+        : [...settings.seasonTags, tag];
+    saveSuggestionSettings();
+    rollSuggestion();
+}
+
+function renderSuggestion() {
+    const suggestion = appState.suggestion;
+    const filtersEl = document.getElementById('suggestFilters');
+    const slotsEl = document.getElementById('suggestSlots');
+    if (!suggestion || !filtersEl || !slotsEl) return;
+
+    const { settings } = suggestion;
+    const seasons = TIMELINE_SEASONS.filter(tag => appState.allFreeTags.includes(tag));
+    const seasonRow = seasons.length > 0 ? `
+        <div class="edit-tag-category">
+            <span class="edit-tag-label">계절:</span>
+            <div class="edit-tag-chips">
+                ${seasons.map(tag => `
+                    <button class="edit-structured-chip ${settings.seasonTags.includes(tag) ? 'selected' : ''}"
+                            onclick="toggleSuggestionSeason('${tag}')">${tag}</button>
+                `).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    filtersEl.innerHTML = seasonRow + Object.entries(appState.structuredTagsConfig)
+        .filter(([key, config]) => key !== 'itemCategory' && isChoiceCategory(config))
+        .map(([key, config]) => `
+            <div class="edit-tag-category">
+                <span class="edit-tag-label">${config.label}:</span>
+                <div class="edit-tag-chips">
+                    ${config.values.map(value => `
+                        <button class="edit-structured-chip ${(settings.filters[key] || []).includes(value) ? 'selected' : ''}"
+                                onclick="toggleSuggestionFilter('${key}', '${value}')">
+                            ${renderSwatchDot(config, value)}${value}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+    document.getElementById('suggestExcludeWorn').value = String(settings.excludeWornDays);
+    document.getElementById('suggestExcludeSuggested').checked = settings.excludeSuggested;
+    document.getElementById('suggestSeedInput').value = suggestion.seed;
+
+    const byId = new Map(appState.allImages.map(img => [img.id, img]));
+    slotsEl.innerHTML = getItemSlots().map(slot => {
+        const skipped = settings.skippedSlots.includes(slot);
+        const locked = suggestion.locked.has(slot);
+        const image = byId.get(suggestion.items[slot]);
+        const count = skipped ? 0 : getSuggestionCandidates(slot, settings).length;
+        const hint = skipped ? '추천 안 함'
+            : suggestion.relaxed.includes(slot) ? '조건에 맞는 새 아이템이 없어 최근 것 포함'
+            : `후보 ${count}개`;
+
+        return `
+            <div class="suggest-slot ${skipped ? 'skipped' : ''} ${locked ? 'locked' : ''}">
+                <div class="suggest-slot-image">
+                    ${image
+                        ? `<img src="${image.thumbnail}" alt="${slot}" onclick="openSuggestedItem(${image.id})">`
+                        : `<span>${skipped ? '—' : '없음'}</span>`}
+                </div>
+                <div class="suggest-slot-info">
+                    <span class="look-slot-name">${slot}</span>
+                    <span class="look-slot-count">${hint}</span>
+                </div>
+                <div class="suggest-slot-actions">
+                    ${skipped ? '' : `
+                        <button class="btn-sm ${locked ? 'selected' : ''}" onclick="toggleSuggestionLock('${slot}')" aria-label="잠금">${locked ? '🔒' : '🔓'}</button>
+                        <button class="btn-sm" onclick="rerollSuggestionSlot('${slot}')" ${locked ? 'disabled' : ''} aria-label="이 슬롯만 다시 돌리기">🎲</button>
+                    `}
+                    <button class="btn-sm" onclick="toggleSuggestionSlot('${slot}')">${skipped ? '넣기' : '빼기'}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function openSuggestedItem(imageId) {
+    const ids = Object.values(appState.suggestion.items).filter(Boolean);
+    openViewer(imageId, appState.allImages.filter(img => ids.includes(img.id)));
+}
+
+// 추천을 코디로 저장 (코디 탭에서 다시 보고 수정할 수 있음)
+async function saveSuggestionAsLook() {
+    const suggestion = appState.suggestion;
+    const items = Object.fromEntries(Object.entries(suggestion.items).filter(([, id]) => isLiveImageId(id)));
+    if (Object.keys(items).length === 0) {
+        showToast('추천된 아이템이 없어요');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const look = {
+        id: Date.now(),
+        name: document.getElementById('suggestNameInput').value.trim() || `추천 코디 ${appState.looks.length + 1}`,
+        items,
+        createdAt: now,
+        updatedAt: now,
+    };
+
+    await dbSaveLook(look);
+    appState.looks = [...appState.looks, look];
+    rememberSuggestedItems(Object.values(items));
+    appState.suggestion = null;
+    closeModal('suggestModal');
+    renderLooks();
+    showToast('코디로 저장됨');
+}
+
+function setupSuggestionEventListeners() {
+    document.getElementById('suggestLookBtn')?.addEventListener('click', openSuggestion);
+    document.getElementById('suggestShuffleBtn')?.addEventListener('click', shuffleSuggestion);
+    document.getElementById('suggestSaveBtn')?.addEventListener('click', saveSuggestionAsLook);
+    document.getElementById('suggestExcludeWorn')?.addEventListener('change', (e) => {
+        appState.suggestion.settings.excludeWornDays = Number(e.target.value);
+        saveSuggestionSettings();
+        rollSuggestion();
+    });
+    document.getElementById('suggestExcludeSuggested')?.addEventListener('change', (e) => {
+        appState.suggestion.settings.excludeSuggested = e.target.checked;
+        saveSuggestionSettings();
+        rollSuggestion();
+    });
+    // 시드를 넣으면 같은 추천을 다시 볼 수 있음
+    document.getElementById('suggestSeedInput')?.addEventListener('change', (e) => {
+        const seed = Number(e.target.value);
+        if (!Number.isFinite(seed)) return;
+        appState.suggestion.seed = Math.floor(Math.abs(seed)) >>> 0;
+        rollSuggestion();
+    });
+}
+
+// ====== Image Viewer ======
+const VIEWER_MAX_ZOOM = 6;
+const VIEWER_DOUBLE_TAP_ZOOM = 2.5;
+const VIEWER_SWIPE_THRESHOLD = 60;
+
+// source: 'search' | 'archive' | 이미지 배열, onClose: 뷰어를 닫을 때 호출
+function openViewer(imageId, source, onClose = null) {
+    const images = Array.isArray(source) ? source
+        : source === 'search' ? appState.filteredImages : getArchiveViewImages();
+    const viewer = appState.viewer;
+    viewer.onClose = onClose;
+
+    viewer.imageIds = images.map(img => img.id);
+    viewer.index = Math.max(0, viewer.imageIds.indexOf(imageId));
+
+    document.getElementById('imageViewer').style.display = 'flex';
+    showViewerImage(viewer.index);
+}
+
+function closeViewer() {
+    const viewerEl = document.getElementById('imageViewer');
+    const img = document.getElementById('viewerImage');
+    if (viewerEl) viewerEl.style.display = 'none';
+    if (img) {
+        img.removeAttribute('src');
+        delete img.dataset.id;
+    }
+    appState.viewer.imageIds = [];
+
+    const onClose = appState.viewer.onClose;
+    appState.viewer.onClose = null;
+    onClose?.();
+}
+
+function isViewerOpen() {
+    return document.getElementById('imageViewer')?.style.display === 'flex';
+}
+
+async function showViewerImage(index) {
+    const viewer = appState.viewer;
+    if (viewer.imageIds.length === 0) {
+        closeViewer();
+        return;
+    }
+
+    viewer.index = Math.min(Math.max(index, 0), viewer.imageIds.length - 1);
+    const imageId = viewer.imageIds[viewer.index];
+
+    document.getElementById('viewerCounter').textContent = `${viewer.index + 1} / ${viewer.imageIds.length}`;
+    document.getElementById('viewerPrevBtn').disabled = viewer.index === 0;
+    document.getElementById('viewerNextBtn').disabled = viewer.index === viewer.imageIds.length - 1;
+
+    renderViewerWearButton(imageId);
+
+    const img = document.getElementById('viewerImage');
+    const cached = appState.allImages.find(item => item.id === imageId);
+
+    // 썸네일을 먼저 보여주고 원본으로 교체
+    if (cached) {
+        await setViewerImageSource(img, cached.thumbnail);
+    }
+
+    const original = await dbGetOriginal(imageId);
+    if (!original || appState.viewer.imageIds[appState.viewer.index] !== imageId) return;
+
+    const url = URL.createObjectURL(original);
+    await setViewerImageSource(img, url);
+    URL.revokeObjectURL(url);
+}
+
+function setViewerImageSource(img, src) {
+    return new Promise((resolve) => {
+        img.onload = () => {
+            const viewer = appState.viewer;
+            const isUpgrade = img.dataset.id === String(viewer.imageIds[viewer.index]);
+            const relativeScale = isUpgrade && viewer.naturalWidth ? viewer.scale / viewer.baseScale : 1;
+
+            viewer.naturalWidth = img.naturalWidth;
+            viewer.naturalHeight = img.naturalHeight;
+            img.style.width = img.naturalWidth + 'px';
+            img.style.height = img.naturalHeight + 'px';
+            img.dataset.id = viewer.imageIds[viewer.index];
+
+            // 썸네일 → 원본 교체 시 확대 상태 유지
+            resetViewerZoom(false);
+            if (isUpgrade && relativeScale !== 1) {
+                const canvas = document.getElementById('viewerCanvas');
+                zoomViewerAt(viewer.baseScale * relativeScale, canvas.clientWidth / 2, canvas.clientHeight / 2, false);
+            }
+            resolve();
+        };
+        img.onerror = () => resolve();
+        img.src = src;
+    });
+}
+
+function resetViewerZoom(animate = true) {
+    const viewer = appState.viewer;
+    const canvas = document.getElementById('viewerCanvas');
+    if (!canvas || !viewer.naturalWidth) return;
+
+    const cw = canvas.clientWidth;
+    const ch = canvas.clientHeight;
+    const containScale = Math.min(cw / viewer.naturalWidth, ch / viewer.naturalHeight);
+    const widthScale = cw / viewer.naturalWidth;
+    const isTall = viewer.naturalHeight / viewer.naturalWidth > (ch / cw) * 1.5;
+
+    // 세로로 긴 캡처는 가로 폭에 맞추고 위에서부터 세로로 스크롤
+    viewer.minScale = containScale;
+    viewer.baseScale = isTall ? widthScale : containScale;
+    viewer.scale = viewer.baseScale;
+    viewer.x = (cw - viewer.naturalWidth * viewer.scale) / 2;
+    viewer.y = isTall ? 0 : (ch - viewer.naturalHeight * viewer.scale) / 2;
+
+    applyViewerTransform(animate);
+}
+
+function zoomViewerAt(scale, px, py, animate = true) {
+    const viewer = appState.viewer;
+    const clamped = Math.min(Math.max(scale, viewer.minScale), viewer.baseScale * VIEWER_MAX_ZOOM);
+    const ratio = clamped / viewer.scale;
+
+    viewer.x = px - (px - viewer.x) * ratio;
+    viewer.y = py - (py - viewer.y) * ratio;
+    viewer.scale = clamped;
+    clampViewerPosition();
+    applyViewerTransform(animate);
+}
+
+function clampViewerPosition() {
+    const viewer = appState.viewer;
+    const canvas = document.getElementById('viewerCanvas');
+    const cw = canvas.clientWidth;
+    const ch = canvas.clientHeight;
+    const sw = viewer.naturalWidth * viewer.scale;
+    const sh = viewer.naturalHeight * viewer.scale;
+
+    viewer.x = sw <= cw ? (cw - sw) / 2 : Math.min(0, Math.max(cw - sw, viewer.x));
+    viewer.y = sh <= ch ? (ch - sh) / 2 : Math.min(0, Math.max(ch - sh, viewer.y));
+}
+
+function applyViewerTransform(animate, offsetX = 0) {
+    const viewer = appState.viewer;
+    const img = document.getElementById('viewerImage');
+    if (!img) return;
+    img.classList.toggle('animating', animate);
+    img.style.transform = `translate(${viewer.x + offsetX}px, ${viewer.y}px) scale(${viewer.scale})`;
+}
+
+function viewerHasHorizontalOverflow() {
+    const viewer = appState.viewer;
+    const canvas = document.getElementById('viewerCanvas');
+    return viewer.naturalWidth * viewer.scale > canvas.clientWidth + 1;
+}
+
+function setupViewerEventListeners() {
+    const canvas = document.getElementById('viewerCanvas');
+    if (!canvas) return;
+
+    document.getElementById('viewerBackBtn').addEventListener('click', closeViewer);
+    document.getElementById('viewerPrevBtn').addEventListener('click', () => showViewerImage(appState.viewer.index - 1));
+    document.getElementById('viewerNextBtn').addEventListener('click', () => showViewerImage(appState.viewer.index + 1));
+
+    document.getElementById('viewerEditBtn').addEventListener('click', () => {
+        const imageId = appState.viewer.imageIds[appState.viewer.index];
+        closeViewer();
+        openEditModal(imageId);
+    });
+
+    document.getElementById('viewerDeleteBtn').addEventListener('click', async () => {
+        const viewer = appState.viewer;
+        const imageId = viewer.imageIds[viewer.index];
+        if (!confirm('이미지를 휴지통으로 옮기시겠습니까?')) return;
+        await deleteImage(imageId);
+        viewer.imageIds = viewer.imageIds.filter(id => id !== imageId);
+        showViewerImage(viewer.index);
+    });
+
+    const pointers = new Map();
+    let gesture = null;
+    let lastTap = null;
+
+    canvas.addEventListener('pointerdown', (e) => {
+        canvas.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const viewer = appState.viewer;
+
+        if (pointers.size === 1) {
+            gesture = {
+                type: 'pan',
+                startX: e.clientX,
+                startY: e.clientY,
+                originX: viewer.x,
+                originY: viewer.y,
+                swipeX: 0,
+                moved: false,
+            };
+        } else if (pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            const rect = canvas.getBoundingClientRect();
+            gesture = {
+                type: 'pinch',
+                startDistance: Math.hypot(a.x - b.x, a.y - b.y),
+                startScale: viewer.scale,
+                midX: (a.x + b.x) / 2 - rect.left,
+                midY: (a.y + b.y) / 2 - rect.top,
+            };
+            lastTap = null;
+        }
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId) || !gesture) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const viewer = appState.viewer;
+
+        if (gesture.type === 'pinch' && pointers.size === 2) {
+            const [a, b] = [...pointers.values()];
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            zoomViewerAt(gesture.startScale * distance / gesture.startDistance, gesture.midX, gesture.midY, false);
+            return;
+        }
+
+        if (gesture.type !== 'pan') return;
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (Math.abs(dx) > 8 || Math.abs(dy) > 8) gesture.moved = true;
+
+        viewer.y = gesture.originY + dy;
+        if (viewerHasHorizontalOverflow()) {
+            viewer.x = gesture.originX + dx;
+            gesture.swipeX = 0;
+        } else {
+            // 가로로 여유가 없으면 가로 이동은 이전/다음 스와이프로 사용
+            gesture.swipeX = Math.abs(dx) > Math.abs(dy) ? dx : 0;
+        }
+        clampViewerPosition();
+        applyViewerTransform(false, gesture.swipeX);
+    });
+
+    const endPointer = (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
+        const viewer = appState.viewer;
+
+        if (gesture?.type === 'pinch') {
+            // 남은 손가락으로 이어서 이동
+            if (pointers.size === 1) {
+                const [p] = [...pointers.values()];
+                gesture = { type: 'pan', startX: p.x, startY: p.y, originX: viewer.x, originY: viewer.y, swipeX: 0, moved: true };
+            } else {
+                gesture = null;
+            }
+            return;
+        }
+
+        if (gesture?.type === 'pan' && pointers.size === 0) {
+            const { swipeX, moved } = gesture;
+            gesture = null;
+
+            if (swipeX <= -VIEWER_SWIPE_THRESHOLD && viewer.index < viewer.imageIds.length - 1) {
+                showViewerImage(viewer.index + 1);
+                return;
+            }
+            if (swipeX >= VIEWER_SWIPE_THRESHOLD && viewer.index > 0) {
+                showViewerImage(viewer.index - 1);
+                return;
+            }
+            applyViewerTransform(true);
+
+            if (!moved && e.type === 'pointerup') {
+                lastTap = handleViewerTap(e, lastTap) ? null : { time: Date.now(), x: e.clientX, y: e.clientY };
+            }
+        }
+    };
+
+    canvas.addEventListener('pointerup', endPointer);
+    canvas.addEventListener('pointercancel', endPointer);
+
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const viewer = appState.viewer;
+        const rect = canvas.getBoundingClientRect();
+        if (e.ctrlKey) {
+            zoomViewerAt(viewer.scale * Math.exp(-e.deltaY / 200), e.clientX - rect.left, e.clientY - rect.top, false);
+        } else {
+            viewer.x -= e.deltaX;
+            viewer.y -= e.deltaY;
+            clampViewerPosition();
+            applyViewerTransform(false);
+        }
+    }, { passive: false });
+
+    document.addEventListener('keydown', (e) => {
+        if (!isViewerOpen()) return;
+        if (e.key === 'Escape') closeViewer();
+        else if (e.key === 'ArrowLeft') showViewerImage(appState.viewer.index - 1);
+        else if (e.key === 'ArrowRight') showViewerImage(appState.viewer.index + 1);
+    });
+
+    window.addEventListener('resize', () => {
+        if (isViewerOpen()) resetViewerZoom(false);
+    });
+}
+
+function handleViewerTap(e, lastTap) {
+    const isDoubleTap = lastTap && Date.now() - lastTap.time < 300 &&
+        Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30;
+    if (!isDoubleTap) return false;
+
+    const viewer = appState.viewer;
+    if (viewer.scale > viewer.baseScale * 1.01) {
+        resetViewerZoom();
+    } else {
+        const rect = document.getElementById('viewerCanvas').getBoundingClientRect();
+        zoomViewerAt(viewer.baseScale * VIEWER_DOUBLE_TAP_ZOOM, e.clientX - rect.left, e.clientY - rect.top);
+    }
+    return true;
+}
+
+// ====== Upload ======
+async function handleFiles(files) {
+    const imageFiles = Array.from(files).filter(f => f.type.startsWith('image/'));
+    if (imageFiles.length === 0) {
+        showToast('이미지를 선택해주세요');
+        return;
+    }
+
+    closeModal('addImageModal');
+    showProgress(imageFiles.length);
+
+    let saved = 0;
+    let duplicateChoice = null;   // '남은 항목에도 적용' 선택 시 기억
+
+    for (let i = 0; i < imageFiles.length; i++) {
+        try {
+            const file = imageFiles[i];
+            const { thumbnail, phash, palette } = await generateThumbnailFromBlob(file);
+            const capturedAt = await readCaptureDate(file);
+
+            const structuredTags = {};
+            for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+                structuredTags[key] = config.multi ? [] : null;
+            }
+
+            const imageData = {
+                id: Date.now() + i,
+                thumbnail: thumbnail,
+                phash: phash,
+                palette: palette,
+                structuredTags: structuredTags,
+                freeTags: [],
+                memo: '',
+                createdAt: new Date().toISOString(),
+                capturedAt: capturedAt
+            };
+
+            if (isAutoColorTaggingEnabled()) {
+                applySuggestedColors(imageData);
+            }
+
+            const duplicate = findNearDuplicate(phash);
+            if (duplicate) {
+                let action = duplicateChoice;
+                if (!action) {
+                    hideProgress();
+                    const answer = await askDuplicateAction(imageData, duplicate);
+                    showProgress(imageFiles.length);
+                    action = answer.action;
+                    if (answer.applyToAll) duplicateChoice = action;
+                }
+
+                if (action === 'skip') {
+                    updateProgress(i + 1, imageFiles.length);
+                    continue;
+                }
+                if (action === 'merge') {
+                    mergeImageTags(duplicate, imageData);
+                    await dbUpdateImage(duplicate);
+                    appState.grids.archive.updateItem(duplicate);
+                    updateProgress(i + 1, imageFiles.length);
+                    continue;
+                }
+            }
+
+            await dbSaveImage(imageData, file);
+            appState.allImages.push(imageData);
+            saved++;
+
+            updateProgress(i + 1, imageFiles.length);
+        } catch (error) {
+            console.error('Error:', error);
+        }
+    }
+
+    hideProgress();
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    renderArchiveGrid();
+    applyFilters();
+    showToast(`${saved}개 저장됨`);
+}
+
+function fileToDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+async function generateThumbnailFromBlob(blob) {
+    const objectURL = URL.createObjectURL(blob);
+    try {
+        return await generateThumbnail(objectURL);
+    } finally {
+        URL.revokeObjectURL(objectURL);
+    }
+}
+
+function dataURLToBlob(dataURL) {
+    const [header, data] = dataURL.split(',');
+    const mime = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+    const binary = header.includes(';base64') ? atob(data) : decodeURIComponent(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mime });
+}
+
+function generateThumbnail(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            let width = img.width;
+            let height = img.height;
+
+            if (width > height) {
+                if (width > 400) {
+                    height = Math.round(height * 400 / width);
+                    width = 400;
+                }
+            } else {
+                if (height > 400) {
+                    width = Math.round(width * 400 / height);
+                    height = 400;
+                }
+            }
+
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, width, height);
+
+            resolve({
+                thumbnail: canvas.toDataURL('image/jpeg', 0.85),
+                phash: computeDHash(canvas),
+                palette: extractPalette(canvas),
+            });
+        };
+        img.onerror = () => reject(new Error('Image load failed'));
+        img.src = src;
+    });
+}
+
+// ====== Capture Date ======
+// 촬영 시각: JPEG EXIF(DateTimeOriginal → DateTime) → 파일 수정 시각. 없는 기록은 createdAt으로 대신함
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+function getCaptureDate(img) {
+    return img.capturedAt || img.createdAt;
+}
+
+function getCaptureTime(img) {
+    return new Date(getCaptureDate(img)).getTime();
+}
+
+async function readCaptureDate(file) {
+    try {
+        const exifDate = await readExifDate(file);
+        if (exifDate) return exifDate.toISOString();
+    } catch {
+        // EXIF가 손상된 파일은 파일 수정 시각으로 대체
+    }
+    return file.lastModified ? new Date(file.lastModified).toISOString() : null;
+}
+
+async function readExifDate(file) {
+    if (!/jpe?g/i.test(file.type)) return null;
+
+    const view = new DataView(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    // APP1 "Exif\0\0" 세그먼트를 찾을 때까지 마커를 건너뜀 (SOS부터는 이미지 데이터)
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            return parseExifDate(view, offset + 10);
+        }
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return null;
+}
+
+function parseExifDate(view, tiff) {
+    const little = view.getUint16(tiff) === 0x4949;   // "II"
+    const u16 = at => view.getUint16(at, little);
+    const u32 = at => view.getUint32(at, little);
+
+    const findEntry = (ifd, tag) => {
+        if (ifd + 2 > view.byteLength) return null;
+        const count = u16(ifd);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (entry + 12 > view.byteLength) return null;
+            if (u16(entry) === tag) return entry;
+        }
+        return null;
+    };
+    const readText = entry => {
+        const length = u32(entry + 4);
+        const start = length > 4 ? tiff + u32(entry + 8) : entry + 8;
+        let text = '';
+        for (let i = start; i < start + length && i < view.byteLength; i++) {
+            const code = view.getUint8(i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    };
+
+    const ifd0 = tiff + u32(tiff + 4);
+    const exifPointer = findEntry(ifd0, 0x8769);
+    const original = exifPointer ? findEntry(tiff + u32(exifPointer + 8), 0x9003) : null;
+    const entry = original || findEntry(ifd0, 0x0132);
+    return entry ? parseExifDateText(readText(entry)) : null;
+}
+
+// "2024:05:01 13:45:00" (찍은 곳의 현지 시각)
+function parseExifDateText(text) {
+    const match = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    if (year < 1900 || month < 1) return null;
+    return new Date(year, month - 1, day, hour, minute, second);
+}
+
+// ====== Duplicate Detection ======
+// dHash: 9x8 흑백으로 줄인 뒤 가로로 이웃한 픽셀의 밝기 비교 → 64비트(16진수 16자리)
+const DUPLICATE_HASH_THRESHOLD = 6;
+
+function computeDHash(sourceCanvas) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(sourceCanvas, 0, 0, 9, 8);
+    const { data } = ctx.getImageData(0, 0, 9, 8);
+
+    const gray = [];
+    for (let i = 0; i < data.length; i += 4) {
+        gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+    }
+
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+        let byte = 0;
+        for (let x = 0; x < 8; x++) {
+            byte = (byte << 1) | (gray[y * 9 + x] > gray[y * 9 + x + 1] ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+function hammingDistance(hashA, hashB) {
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i += 8) {
+        let x = (parseInt(hashA.slice(i, i + 8), 16) ^ parseInt(hashB.slice(i, i + 8), 16)) >>> 0;
+        while (x) {
+            x &= x - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+function isNearDuplicate(hashA, hashB) {
+    return !!hashA && !!hashB && hammingDistance(hashA, hashB) <= DUPLICATE_HASH_THRESHOLD;
+}
+
+function findNearDuplicate(phash) {
+    let best = null;
+    let bestDistance = Infinity;
+    appState.allImages.forEach(img => {
+        if (!img.phash) return;
+        const distance = hammingDistance(phash, img.phash);
+        if (distance <= DUPLICATE_HASH_THRESHOLD && distance < bestDistance) {
+            best = img;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// source의 태그·메모를 target에 합침 (중복 제거)
+function mergeImageTags(target, source) {
+    source.freeTags.forEach(tag => {
+        if (!target.freeTags.includes(tag)) target.freeTags.push(tag);
+    });
+
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const value = source.structuredTags[key];
+        if (config.multi) {
+            const values = target.structuredTags[key] || [];
+            (value || []).forEach(v => {
+                if (!values.includes(v)) values.push(v);
+            });
+            target.structuredTags[key] = values;
+        } else if (!target.structuredTags[key] && value) {
+            target.structuredTags[key] = value;
+        }
+    }
+
+    if (getWearCount(source) > 0) {
+        target.wornDates = [...new Set([...getWornDates(target), ...getWornDates(source)])].sort();
+    }
+
+    if (source.memo && !(target.memo || '').includes(source.memo)) {
+        target.memo = target.memo ? `${target.memo}\n${source.memo}` : source.memo;
+    }
+}
+
+// 업로드 중 비슷한 이미지가 있으면 처리 방법을 물어봄 → { action: 'skip' | 'merge' | 'keep', applyToAll }
+function askDuplicateAction(newImage, existing) {
+    document.getElementById('duplicateNewImage').src = newImage.thumbnail;
+    document.getElementById('duplicateExistingImage').src = existing.thumbnail;
+    document.getElementById('duplicateApplyAll').checked = false;
+    openModal('duplicateModal');
+
+    return new Promise((resolve) => {
+        document.querySelectorAll('#duplicateModal [data-action]').forEach(btn => {
+            btn.onclick = () => {
+                closeModal('duplicateModal');
+                resolve({
+                    action: btn.dataset.action,
+                    applyToAll: document.getElementById('duplicateApplyAll').checked,
+                });
+            };
+        });
+    });
+}
+
+// 설정 탭의 중복 찾기: 해시가 없는 예전 이미지는 썸네일로 계산해서 저장
+async function openDuplicatesFinder() {
+    const missing = appState.allImages.filter(img => !img.phash && img.thumbnail);
+    if (missing.length > 0) {
+        showProgress(missing.length);
+        for (let i = 0; i < missing.length; i++) {
+            try {
+                missing[i].phash = (await generateThumbnail(missing[i].thumbnail)).phash;
+                await dbUpdateImage(missing[i]);
+            } catch (error) {
+                console.error('Hash error:', error);
+            }
+            updateProgress(i + 1, missing.length);
+        }
+        hideProgress();
+    }
+
+    renderDuplicateGroups();
+    openModal('duplicatesModal');
+}
+
+function findDuplicateGroups() {
+    const images = getArchiveImages().filter(img => img.phash);
+    const parent = images.map((_, i) => i);
+    const root = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    for (let i = 0; i < images.length; i++) {
+        for (let j = i + 1; j < images.length; j++) {
+            if (isNearDuplicate(images[i].phash, images[j].phash)) {
+                parent[root(j)] = root(i);
+            }
+        }
+    }
+
+    const groups = new Map();
+    images.forEach((img, i) => {
+        const r = root(i);
+        if (!groups.has(r)) groups.set(r, []);
+        groups.get(r).push(img);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+function renderDuplicateGroups() {
+    const container = document.getElementById('duplicateGroups');
+    if (!container) return;
+
+    const groups = findDuplicateGroups();
+    appState.duplicateGroups = groups;
+
+    if (groups.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>비슷한 이미지가 없어요</p></div>';
+        return;
+    }
+
+    container.innerHTML = groups.map((group, groupIndex) => `
+        <div class="duplicate-group">
+            <div class="duplicate-group-header">
+                <span>${group.length}장</span>
+                <button class="btn-sm btn-secondary" onclick="mergeDuplicateGroup(${groupIndex})">하나로 합치기</button>
+            </div>
+            <div class="duplicate-group-images">
+                ${group.map(img => `
+                    <div class="image-card" onclick="openDuplicateInViewer(${groupIndex}, ${img.id})">
+                        <img src="${img.thumbnail}" alt="image" loading="lazy">
+                        <button class="duplicate-delete" onclick="event.stopPropagation(); deleteDuplicateImage(${img.id})">✕</button>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function openDuplicateInViewer(groupIndex, imageId) {
+    const group = appState.duplicateGroups[groupIndex] || [];
+    openViewer(imageId, group, renderDuplicateGroups);
+}
+
+async function deleteDuplicateImage(imageId) {
+    if (!confirm('이미지를 휴지통으로 옮기시겠습니까?')) return;
+    await deleteImage(imageId);
+    renderDuplicateGroups();
+}
+
+// 가장 먼저 저장된 이미지에 나머지의 태그·메모를 합치고 나머지는 삭제
+async function mergeDuplicateGroup(groupIndex) {
+    const group = appState.duplicateGroups[groupIndex];
+    if (!group) return;
+    if (!confirm(`${group.length}장을 하나로 합치고 나머지 ${group.length - 1}장을 삭제하시겠습니까?`)) return;
+
+    const [keep, ...others] = [...group].sort((a, b) =>
+        new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()
+    );
+    const before = JSON.parse(JSON.stringify({ structuredTags: keep.structuredTags, freeTags: keep.freeTags, memo: keep.memo }));
+    others.forEach(img => mergeImageTags(keep, img));
+    await dbUpdateImage(keep);
+    const entries = await moveImagesToTrash(others.map(img => img.id));
+
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    renderArchiveGrid();
+    applyFilters();
+    renderDuplicateGroups();
+    // 되돌리면 남긴 이미지의 태그·메모도 합치기 전으로
+    showTrashUndoToast(entries, '합쳤어요', async () => {
+        Object.assign(keep, before);
+        await dbUpdateImage(keep);
+    });
+}
+
+// ====== Color Suggestions ======
+const PALETTE_SIZE = 5;
+const PALETTE_MIN_RATIO = 0.05;
+const PALETTE_CLUSTER_DISTANCE = 14;   // ΔE(CIE76) 이내의 색은 같은 색으로 묶음
+const BACKGROUND_DISTANCE = 28;        // RGB 거리 - 배경색과 이만큼 가까우면 제외
+const COLOR_MATCH_MAX_DISTANCE = 38;   // 견본과 이보다 멀면 추천하지 않음
+const MAX_COLOR_SUGGESTIONS = 3;
+
+// 썸네일 캔버스에서 대표색 추출. 스크린샷 위아래의 상태 표시줄·탭 바와
+// 테두리에서 추정한 배경색은 빼고, 4비트 양자화 후 비슷한 색끼리 묶음
+function extractPalette(canvas) {
+    const { width, height } = canvas;
+    if (!width || !height) return [];
+    const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const chrome = Math.min(Math.round(height * 0.12), Math.round(width * 0.2));
+    const top = chrome;
+    const bottom = height - chrome;
+    if (bottom - top < 4) return [];
+
+    const background = estimateBackgroundColor(data, width, top, bottom);
+    const buckets = new Map();
+    let total = 0;
+
+    for (let y = top; y < bottom; y += 2) {
+        for (let x = 0; x < width; x += 2) {
+            const i = (y * width + x) * 4;
+            if (data[i + 3] < 128) continue;
+            const rgb = [data[i], data[i + 1], data[i + 2]];
+            if (background && rgbDistance(rgb, background) < BACKGROUND_DISTANCE) continue;
+            addToColorBucket(buckets, rgb);
+            total++;
+        }
+    }
+    if (total === 0) return [];
+
+    const clusters = [];
+    const sorted = [...buckets.values()]
+        .filter(bucket => bucket.count >= total * 0.005)
+        .sort((a, b) => b.count - a.count);
+
+    for (const bucket of sorted) {
+        const lab = rgbToLab(bucketAverage(bucket));
+        const cluster = clusters.find(c => labDistance(c.lab, lab) < PALETTE_CLUSTER_DISTANCE);
+        if (cluster) {
+            cluster.count += bucket.count;
+            cluster.r += bucket.r;
+            cluster.g += bucket.g;
+            cluster.b += bucket.b;
+        } else {
+            clusters.push({ lab, ...bucket });
+        }
+    }
+
+    return clusters
+        .filter(c => c.count / total >= PALETTE_MIN_RATIO)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, PALETTE_SIZE)
+        .map(c => ({
+            hex: rgbToHex(bucketAverage(c)),
+            ratio: Math.round(c.count / total * 100) / 100,
+        }));
+}
+
+// 테두리 픽셀의 과반이 한 색이면 배경으로 봄 (사진이 화면을 꽉 채우면 null)
+function estimateBackgroundColor(data, width, top, bottom) {
+    const buckets = new Map();
+    let total = 0;
+    const sample = (x, y) => {
+        const i = (y * width + x) * 4;
+        addToColorBucket(buckets, [data[i], data[i + 1], data[i + 2]]);
+        total++;
+    };
+
+    for (let x = 0; x < width; x += 2) {
+        sample(x, top);
+        sample(x, bottom - 1);
+    }
+    for (let y = top; y < bottom; y += 2) {
+        sample(0, y);
+        sample(width - 1, y);
+    }
+
+    let best = null;
+    buckets.forEach(bucket => {
+        if (!best || bucket.count > best.count) best = bucket;
+    });
+    return best && best.count / total >= 0.5 ? bucketAverage(best) : null;
+}
+
+function addToColorBucket(buckets, [r, g, b]) {
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = { count: 0, r: 0, g: 0, b: 0 };
+        buckets.set(key, bucket);
+    }
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+}
+
+function bucketAverage(bucket) {
+    return [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+}
+
+function rgbDistance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function labDistance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function normalizeHexColor(hex) {
+    let value = hex.replace('#', '');
+    if (value.length === 3) value = value.split('').map(c => c + c).join('');
+    return '#' + value.toUpperCase();
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(normalizeHexColor(hex).slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// sRGB → CIE L*a*b* (D65)
+function rgbToLab(rgb) {
+    const [r, g, b] = rgb.map(c => {
+        const v = c / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+    const y = (r * 0.2126 + g * 0.7152 + b * 0.0722) / 1.0;
+    const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+    const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+    return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+function hasSwatches(config) {
+    return !!config.swatches && Object.keys(config.swatches).length > 0;
+}
+
+// 대표색(비율 순)을 가장 가까운 견본 값으로 연결. 중복 없이 최대 3개
+function suggestCategoryValues(palette, key) {
+    const config = appState.structuredTagsConfig[key];
+    if (!config || !hasSwatches(config) || !palette?.length) return [];
+
+    const targets = config.values
+        .filter(value => config.swatches[value])
+        .map(value => ({ value, lab: rgbToLab(hexToRgb(config.swatches[value])) }));
+
+    const suggestions = [];
+    for (const color of palette) {
+        const lab = rgbToLab(hexToRgb(color.hex));
+        let best = null;
+        let bestDistance = Infinity;
+        targets.forEach(target => {
+            const distance = labDistance(lab, target.lab);
+            if (distance < bestDistance) {
+                best = target;
+                bestDistance = distance;
+            }
+        });
+        if (best && bestDistance <= COLOR_MATCH_MAX_DISTANCE && !suggestions.includes(best.value)) {
+            suggestions.push(best.value);
+        }
+        if (suggestions.length >= MAX_COLOR_SUGGESTIONS) break;
+    }
+    return suggestions;
+}
+
+// 업로드 시 자동 적용: 다중 선택은 추천값을 모두 추가, 단일 선택은 비어 있을 때만 첫 추천값
+function applySuggestedColors(image) {
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const suggestions = suggestCategoryValues(image.palette, key);
+        if (suggestions.length === 0) continue;
+
+        if (config.multi) {
+            const current = image.structuredTags[key] || [];
+            image.structuredTags[key] = [...current, ...suggestions.filter(v => !current.includes(v))];
+        } else if (!image.structuredTags[key]) {
+            image.structuredTags[key] = suggestions[0];
+        }
+    }
+}
+
+// 대표색이 없는 예전 항목은 썸네일에서 계산 (저장은 편집 저장 시 함께)
+async function ensureImagePalette(image) {
+    if (image.palette || !image.thumbnail) return image.palette || [];
+    try {
+        image.palette = (await generateThumbnail(image.thumbnail)).palette;
+    } catch (error) {
+        console.error('Palette error:', error);
+        image.palette = [];
+    }
+    return image.palette;
+}
+
+function isAutoColorTaggingEnabled() {
+    return localStorage.getItem('autoColorTags') === 'true';
+}
+
+function renderSwatchDot(config, value) {
+    const color = config.swatches?.[value];
+    return color ? `<span class="color-swatch" style="background-color: ${color}"></span>` : '';
+}
+
+// ====== Edit Modal ======
+async function openEditModal(imageId) {
+    const image = await dbGetImage(imageId);
+    if (!image) return;
+
+    appState.currentEditImageId = imageId;
+    const preview = document.getElementById('editPreviewImage');
+    preview.src = image.thumbnail;
+    preview.dataset.id = imageId;
+    document.getElementById('editMemo').value = image.memo || '';
+
+    renderEditStructuredTags(image.structuredTags);
+    renderEditFreeTags(image.freeTags);
+    renderEditSourceLinks(imageId);
+    renderEditCollections();
+    document.getElementById('editWearDate').value = '';
+    renderEditWearLog(appState.allImages.find(img => img.id === imageId) || image);
+
+    openModal('editModal');
+    loadEditPreviewOriginal(imageId);
+    loadEditColorSuggestions(imageId);
+}
+
+async function loadEditColorSuggestions(imageId) {
+    const image = appState.allImages.find(img => img.id === imageId);
+    if (!image || image.palette) return;
+
+    await ensureImagePalette(image);
+    if (appState.currentEditImageId === imageId) {
+        renderEditStructuredTags(image.structuredTags);
+    }
+}
+
+// 원본은 편집 화면을 열 때만 불러옴
+async function loadEditPreviewOriginal(imageId) {
+    const original = await dbGetOriginal(imageId);
+    const isOpen = document.getElementById('editModal').classList.contains('active');
+    if (!original || !isOpen || appState.currentEditImageId !== imageId) return;
+
+    revokeEditPreview();
+    appState.editPreviewURL = URL.createObjectURL(original);
+    document.getElementById('editPreviewImage').src = appState.editPreviewURL;
+}
+
+// 편집 화면을 닫을 때 (closeModal) 원본 URL을 해제
+function revokeEditPreview() {
+    if (appState.editPreviewURL) {
+        URL.revokeObjectURL(appState.editPreviewURL);
+        appState.editPreviewURL = null;
+    }
+}
+
+// 빠른 분류 중에는 분류 화면에 같은 칩을 그림
+function renderEditStructuredTags(structuredTags) {
+    const container = document.getElementById(appState.triage ? 'triageStructuredTags' : 'editStructuredTags');
+    if (!container) return;
+
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    let html = '';
+
+    for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+        const currentValue = structuredTags[key];
+        const label = config.label;
+        if (!isChoiceCategory(config)) {
+            html += `
+                <div class="edit-tag-category">
+                    <span class="edit-tag-label">${label}:</span>
+                    ${renderStructuredFieldInput(key, config, currentValue)}
+                </div>
+            `;
+            continue;
+        }
+        const isSelected = value => config.multi ? (currentValue || []).includes(value) : currentValue === value;
+        const handler = config.multi ? 'toggleStructuredTagInEdit' : 'setStructuredTagInEdit';
+
+        const selectedChips = config.values.map(value => `
+            <button class="edit-structured-chip ${isSelected(value) ? 'selected' : ''}" 
+                    onclick="${handler}('${key}', '${value}')">
+                ${renderSwatchDot(config, value)}${value}
+            </button>
+        `).join('');
+
+        // 대표색 추천 - 아직 선택되지 않은 값만 한 번에 누를 수 있게 표시
+        const suggestions = suggestCategoryValues(image?.palette, key).filter(value => !isSelected(value));
+        const suggestionRow = suggestions.length > 0 ? `
+            <div class="color-suggestions">
+                <span class="color-suggestions-label">추천</span>
+                ${suggestions.map(value => `
+                    <button class="color-suggestion-chip" onclick="${handler}('${key}', '${value}')">
+                        ${renderSwatchDot(config, value)}${value}
+                    </button>
+                `).join('')}
+            </div>
+        ` : '';
+
+        html += `
+            <div class="edit-tag-category">
+                <span class="edit-tag-label">${label}:</span>
+                <div class="edit-tag-chips">${selectedChips}</div>
+                ${suggestionRow}
+            </div>
+        `;
+    }
+
+    container.innerHTML = html;
+}
+
+function setStructuredTagInEdit(key, value) {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (!image) return;
+    image.structuredTags[key] = image.structuredTags[key] === value ? null : value;
+    renderEditStructuredTags(image.structuredTags);
+    saveTriageChange(image);
+}
+
+function toggleStructuredTagInEdit(key, value) {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (!image) return;
+    
+    if (!image.structuredTags[key]) {
+        image.structuredTags[key] = [];
+    }
+    
+    const index = image.structuredTags[key].indexOf(value);
+    if (index !== -1) {
+        image.structuredTags[key].splice(index, 1);
+    } else {
+        image.structuredTags[key].push(value);
+    }
+    renderEditStructuredTags(image.structuredTags);
+    saveTriageChange(image);
+}
+
+function renderEditFreeTags(freeTags) {
+    const container = document.getElementById('editFreeTags');
+    if (!container) return;
+
+    container.innerHTML = freeTags.map(tag => `
+        <div class="tag-selected">
+            ${tag}
+            <span class="tag-remove" onclick="removeFreeTagInEdit('${tag}')">✕</span>
+        </div>
+    `).join('');
+}
+
+function removeFreeTagInEdit(tag) {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (!image) return;
+    image.freeTags = image.freeTags.filter(t => t !== tag);
+    renderEditFreeTags(image.freeTags);
+}
+
+async function saveImageEdit() {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (!image) return;
+
+    image.memo = document.getElementById('editMemo').value;
+    await dbUpdateImage(image);
+    closeModal('editModal');
+    applyFilters();
+    appState.grids.archive.updateItem(image);
+    renderCollectionsBar();
+    showToast('저장됨');
+}
+
+async function deleteImage(imageId) {
+    const entries = await moveImagesToTrash([imageId]);
+    closeModal('editModal');
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    applyFilters();
+    if (getArchiveViewImages().length > 0 && !isTimelineActive()) {
+        appState.grids.archive.removeItem(imageId);
+        renderCollectionsBar();
+    } else {
+        renderArchiveGrid();
+    }
+    showTrashUndoToast(entries, '휴지통으로 옮김');
+}
+
+// ====== Untagged Inbox ======
+// 태그 없이 저장한 이미지를 모아 보고, 한 장씩 빠르게 분류
+const RECENT_FREE_TAG_LIMIT = 12;
+
+// 편집에서 붙인 순서대로, 모자라면 자주 쓰는 태그로 채움
+function getRecentFreeTags() {
+    const tags = appState.recentFreeTags.filter(tag => appState.allFreeTags.includes(tag));
+    const frequent = [...appState.allFreeTags]
+        .sort((a, b) => (appState.freeTagFrequency[b] || 0) - (appState.freeTagFrequency[a] || 0));
+    for (const tag of frequent) {
+        if (tags.length >= RECENT_FREE_TAG_LIMIT) break;
+        if (!tags.includes(tag)) tags.push(tag);
+    }
+    return tags.slice(0, RECENT_FREE_TAG_LIMIT);
+}
+
+function rememberRecentFreeTag(tag) {
+    appState.recentFreeTags = [tag, ...appState.recentFreeTags.filter(t => t !== tag)].slice(0, RECENT_FREE_TAG_LIMIT);
+    localStorage.setItem('recentFreeTags', JSON.stringify(appState.recentFreeTags));
+}
+
+function getUntaggedImages() {
+    return getArchiveImages().filter(isUntaggedImage);
+}
+
+function openInbox() {
+    renderInbox();
+    openModal('inboxModal');
+}
+
+function renderInbox() {
+    const images = getUntaggedImages();
+    document.getElementById('inboxSummary').textContent = images.length > 0
+        ? `${images.length}개 · 태그를 붙이면 목록에서 빠져요`
+        : '태그 없는 이미지가 없어요';
+    document.getElementById('inboxGrid').innerHTML = images.map(img => `
+        <div class="image-card" onclick="startTriage(${img.id})">
+            <img src="${img.thumbnail}" alt="" loading="lazy" decoding="async" style="object-fit: contain;">
+        </div>
+    `).join('');
+    document.getElementById('inboxStartBtn').disabled = images.length === 0;
+}
+
+// 시작할 때의 목록을 그대로 돌기 때문에 태그를 붙여도 순서가 흔들리지 않음
+function startTriage(startId = null) {
+    const ids = getUntaggedImages().map(img => img.id);
+    if (ids.length === 0) return;
+
+    const start = Math.max(0, ids.indexOf(startId));
+    appState.triage = {
+        queue: [...ids.slice(start), ...ids.slice(0, start)],
+        index: 0,
+        tagged: 0,
+        skipped: [],
+        saved: null,
+        previewURL: null,
+    };
+    closeModal('inboxModal');
+    openModal('triageModal');
+    showTriageImage();
+}
+
+function getTriageImage() {
+    const triage = appState.triage;
+    if (!triage) return null;
+    return appState.allImages.find(img => img.id === triage.queue[triage.index]) || null;
+}
+
+function showTriageImage() {
+    const triage = appState.triage;
+    // 분류하는 사이 지워진 이미지는 건너뜀
+    while (triage.index < triage.queue.length && !getTriageImage()) {
+        triage.index++;
+    }
+    revokeTriagePreview();
+
+    const done = triage.index >= triage.queue.length;
+    document.getElementById('triageCard').style.display = done ? 'none' : 'block';
+    document.getElementById('triageDone').style.display = done ? 'block' : 'none';
+    document.getElementById('triageRemaining').textContent = done ? '' : `${triage.queue.length - triage.index}개 남음`;
+
+    if (done) {
+        appState.currentEditImageId = null;
+        document.getElementById('triageDoneSummary').textContent =
+            `${triage.tagged}개 분류${triage.skipped.length > 0 ? ` · ${triage.skipped.length}개 건너뜀` : ''}`;
+        const retry = document.getElementById('triageRetryBtn');
+        retry.style.display = triage.skipped.length > 0 ? 'block' : 'none';
+        retry.textContent = `건너뛴 ${triage.skipped.length}개 다시 보기`;
+        return;
+    }
+
+    const image = getTriageImage();
+    appState.currentEditImageId = image.id;
+    triage.changed = false;
+    triage.saved = getTriageTagValues(image);
+    document.getElementById('triagePreviewImage').src = image.thumbnail;
+    renderEditStructuredTags(image.structuredTags);
+    renderTriageFreeTags();
+    loadTriagePreviewOriginal(image.id);
+    loadEditColorSuggestions(image.id);
+}
+
+async function loadTriagePreviewOriginal(imageId) {
+    const original = await dbGetOriginal(imageId);
+    if (!original || appState.currentEditImageId !== imageId || !appState.triage) return;
+
+    revokeTriagePreview();
+    appState.triage.previewURL = URL.createObjectURL(original);
+    document.getElementById('triagePreviewImage').src = appState.triage.previewURL;
+}
+
+function revokeTriagePreview() {
+    if (appState.triage?.previewURL) {
+        URL.revokeObjectURL(appState.triage.previewURL);
+        appState.triage.previewURL = null;
+    }
+}
+
+function renderTriageFreeTags() {
+    const container = document.getElementById('triageFreeTags');
+    const image = getTriageImage();
+    if (!container || !image) return;
+
+    const tags = [...new Set([...getRecentFreeTags(), ...image.freeTags])];
+    container.innerHTML = tags.map(tag => `
+        <button class="edit-structured-chip ${image.freeTags.includes(tag) ? 'selected' : ''}"
+                onclick="selectFreeTagInEdit('${tag}')">
+            ${tag}
+        </button>
+    `).join('');
+}
+
+function getTriageTagValues(image) {
+    return JSON.parse(JSON.stringify({ structuredTags: image.structuredTags, freeTags: image.freeTags }));
+}
+
+// 칩을 누를 때마다 바로 저장 (호출하는 쪽은 기다리지 않으므로 오류는 여기서 처리)
+// 저장에 성공해야 분류한 이미지로 세고, 실패하면 마지막으로 저장된 태그로 되돌림
+async function saveTriageChange(image) {
+    if (!appState.triage || image.id !== appState.currentEditImageId) return;
+
+    renderTriageFreeTags();
+    const values = getTriageTagValues(image);
+    try {
+        await dbUpdateImage(image);
+    } catch (error) {
+        console.error('Triage save error:', error);
+        showToast('실패: ' + error.message);
+        const triage = appState.triage;
+        if (triage && getTriageImage()?.id === image.id) {
+            Object.assign(image, getTriageTagValues(triage.saved));
+            renderEditStructuredTags(image.structuredTags);
+            renderTriageFreeTags();
+        }
+        return;
+    }
+    if (appState.triage && getTriageImage()?.id === image.id) {
+        appState.triage.changed = true;
+        appState.triage.saved = values;
+    }
+    appState.grids.archive.updateItem(image);
+}
+
+function advanceTriage() {
+    const triage = appState.triage;
+    const image = getTriageImage();
+    if (image) {
+        if (isUntaggedImage(image)) {
+            triage.skipped.push(image.id);
+        } else if (triage.changed) {
+            triage.tagged++;
+        }
+    }
+    triage.index++;
+    showTriageImage();
+}
+
+function retrySkippedTriage() {
+    const triage = appState.triage;
+    triage.queue = triage.skipped.filter(id => {
+        const image = appState.allImages.find(img => img.id === id);
+        return image && isUntaggedImage(image);
+    });
+    triage.index = 0;
+    triage.skipped = [];
+    showTriageImage();
+}
+
+function closeTriage() {
+    if (!appState.triage) return;
+    revokeTriagePreview();
+    appState.triage = null;
+    appState.currentEditImageId = null;
+    closeModal('triageModal');
+    recalculateFreeTagFrequency();
+    renderCollectionsBar();
+    applyFilters();
+}
+
+function setupInboxEventListeners() {
+    document.getElementById('inboxStartBtn')?.addEventListener('click', () => startTriage());
+    document.getElementById('triageSkipBtn')?.addEventListener('click', advanceTriage);
+    document.getElementById('triageNextBtn')?.addEventListener('click', advanceTriage);
+    document.getElementById('triageRetryBtn')?.addEventListener('click', retrySkippedTriage);
+    document.getElementById('triageCloseBtn')?.addEventListener('click', closeTriage);
+    document.getElementById('triageTagPickerBtn')?.addEventListener('click', () => {
+        appState.currentTagPickerTarget = 'edit';
+        openTagPicker();
+    });
+}
+
+// ====== Crop & Split ======
+const CROP_MIN_SIZE = 24;          // 원본 픽셀 기준 최소 영역 크기
+const CROP_LONG_PRESS_MS = 350;
+
+// 나눈 항목 ↔ 원본 캡처 연결 표시
+function renderEditSourceLinks(imageId) {
+    const container = document.getElementById('editSourceLinks');
+    if (!container) return;
+
+    const image = appState.allImages.find(img => img.id === imageId);
+    const children = appState.allImages.filter(img => img.sourceId === imageId);
+    let html = '';
+
+    if (image?.sourceId) {
+        const source = appState.allImages.find(img => img.id === image.sourceId);
+        html += source
+            ? `<button onclick="openEditModal(${source.id})">↖ 원본 캡처 보기</button>`
+            : '<span>원본 캡처가 삭제됨</span>';
+    }
+    if (children.length > 0) {
+        html += `<button onclick="openSplitChildren(${imageId})">나눈 항목 ${children.length}개 보기</button>`;
+    }
+
+    container.innerHTML = html;
+}
+
+function openSplitChildren(imageId) {
+    const children = appState.allImages
+        .filter(img => img.sourceId === imageId)
+        .sort((a, b) => (a.cropRegion?.y || 0) - (b.cropRegion?.y || 0));
+    if (children.length > 0) openViewer(children[0].id, children);
+}
+
+async function openCropEditor() {
+    const imageId = appState.currentEditImageId;
+    const image = appState.allImages.find(img => img.id === imageId);
+    if (!image) return;
+
+    // 원본이 없으면(예전 localStorage 모드) 썸네일로 자름
+    const blob = await dbGetOriginal(imageId) || dataURLToBlob(image.thumbnail);
+
+    appState.crop = {
+        imageId,
+        url: URL.createObjectURL(blob),
+        type: blob.type,
+        naturalWidth: 0,
+        naturalHeight: 0,
+        regions: [],
+    };
+
+    const img = document.getElementById('cropImage');
+    img.onload = () => {
+        if (!appState.crop) return;
+        appState.crop.naturalWidth = img.naturalWidth;
+        appState.crop.naturalHeight = img.naturalHeight;
+        renderCropRegions();
+    };
+    img.src = appState.crop.url;
+
+    renderCropRegions();
+    openModal('cropModal');
+}
+
+function closeCropEditor() {
+    if (appState.crop) URL.revokeObjectURL(appState.crop.url);
+    appState.crop = null;
+    document.getElementById('cropImage').removeAttribute('src');
+    document.getElementById('cropRegions').innerHTML = '';
+    closeModal('cropModal');
+}
+
+function renderCropRegions() {
+    const crop = appState.crop;
+    const container = document.getElementById('cropRegions');
+    const applyBtn = document.getElementById('cropApplyBtn');
+    if (!crop || !container) return;
+
+    if (crop.naturalWidth) {
+        const pct = (value, total) => (value / total * 100) + '%';
+        container.innerHTML = crop.regions.map((region, index) => `
+            <div class="crop-region ${region.drawing ? 'drawing' : ''}" data-index="${index}"
+                 style="left: ${pct(region.x, crop.naturalWidth)}; top: ${pct(region.y, crop.naturalHeight)};
+                        width: ${pct(region.width, crop.naturalWidth)}; height: ${pct(region.height, crop.naturalHeight)};">
+                <span class="crop-region-label">${index + 1}${region.rotation ? ` · ↻${region.rotation}°` : ''}</span>
+                <div class="crop-region-tools">
+                    <button data-action="rotate" title="회전">↻</button>
+                    <button data-action="remove" title="삭제">✕</button>
+                </div>
+                <span class="crop-handle nw" data-handle="nw"></span>
+                <span class="crop-handle se" data-handle="se"></span>
+            </div>
+        `).join('');
+    }
+
+    const count = crop.regions.filter(r => !r.drawing).length;
+    applyBtn.textContent = count > 0 ? `${count}개로 나누기` : '나누기';
+    applyBtn.disabled = count === 0;
+}
+
+// 화면 좌표 → 원본 이미지 픽셀 좌표
+function cropPointFromEvent(e) {
+    const crop = appState.crop;
+    const rect = document.getElementById('cropStage').getBoundingClientRect();
+    const scale = crop.naturalWidth / rect.width;
+    return {
+        x: Math.min(Math.max((e.clientX - rect.left) * scale, 0), crop.naturalWidth),
+        y: Math.min(Math.max((e.clientY - rect.top) * scale, 0), crop.naturalHeight),
+    };
+}
+
+function normalizeCropRect(a, b) {
+    return {
+        x: Math.round(Math.min(a.x, b.x)),
+        y: Math.round(Math.min(a.y, b.y)),
+        width: Math.round(Math.abs(a.x - b.x)),
+        height: Math.round(Math.abs(a.y - b.y)),
+    };
+}
+
+// 지금 보이는 부분 가운데에 영역 추가 (터치에서 그리기 대신 쓰기 쉬움)
+function addCropRegionInView() {
+    const crop = appState.crop;
+    if (!crop?.naturalWidth) return;
+
+    const stageRect = document.getElementById('cropStage').getBoundingClientRect();
+    const bodyRect = document.querySelector('#cropModal .crop-body').getBoundingClientRect();
+    const scale = crop.naturalWidth / stageRect.width;
+    const visibleTop = Math.max(bodyRect.top - stageRect.top, 0) * scale;
+    const visibleBottom = Math.min(bodyRect.bottom - stageRect.top, stageRect.height) * scale;
+    const visibleHeight = Math.max(visibleBottom - visibleTop, crop.naturalHeight * 0.2);
+
+    crop.regions.push({
+        x: Math.round(crop.naturalWidth * 0.05),
+        y: Math.round(Math.min(visibleTop + visibleHeight * 0.25, crop.naturalHeight * 0.8)),
+        width: Math.round(crop.naturalWidth * 0.9),
+        height: Math.round(Math.min(visibleHeight * 0.5, crop.naturalHeight * 0.2 + visibleHeight * 0.3)),
+        rotation: 0,
+    });
+    renderCropRegions();
+}
+
+function setupCropEventListeners() {
+    const stage = document.getElementById('cropStage');
+    const regionsEl = document.getElementById('cropRegions');
+    if (!stage || !regionsEl) return;
+
+    document.getElementById('editCropBtn')?.addEventListener('click', openCropEditor);
+    document.getElementById('cropBackBtn')?.addEventListener('click', closeCropEditor);
+    document.getElementById('cropOverlay')?.addEventListener('click', closeCropEditor);
+    document.getElementById('cropAddRegionBtn')?.addEventListener('click', addCropRegionInView);
+    document.getElementById('cropApplyBtn')?.addEventListener('click', applyCropSplit);
+    document.getElementById('cropClearBtn')?.addEventListener('click', () => {
+        if (!appState.crop) return;
+        appState.crop.regions = [];
+        renderCropRegions();
+    });
+
+    regionsEl.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const regionEl = e.target.closest('.crop-region');
+        if (!button || !regionEl || !appState.crop) return;
+
+        const index = Number(regionEl.dataset.index);
+        if (button.dataset.action === 'remove') {
+            appState.crop.regions.splice(index, 1);
+        } else {
+            const region = appState.crop.regions[index];
+            region.rotation = (region.rotation + 90) % 360;
+        }
+        renderCropRegions();
+    });
+
+    // 드래그: 빈 곳 = 새 영역 그리기, 영역 = 이동, 모서리 핸들 = 크기 조절
+    let drag = null;
+
+    const startDrag = (e) => {
+        drag.active = true;
+        stage.setPointerCapture?.(e.pointerId);
+        if (drag.mode === 'draw') {
+            drag.region = { ...normalizeCropRect(drag.start, drag.start), rotation: 0, drawing: true };
+            appState.crop.regions.push(drag.region);
+            navigator.vibrate?.(10);
+        }
+    };
+
+    stage.addEventListener('pointerdown', (e) => {
+        const crop = appState.crop;
+        if (!crop?.naturalWidth || e.button > 0 || e.target.closest('button')) return;
+
+        const regionEl = e.target.closest('.crop-region');
+        const handle = e.target.closest('.crop-handle')?.dataset.handle;
+        const start = cropPointFromEvent(e);
+
+        drag = {
+            mode: handle ? 'resize' : regionEl ? 'move' : 'draw',
+            handle,
+            start,
+            region: regionEl ? crop.regions[Number(regionEl.dataset.index)] : null,
+            origin: regionEl ? { ...crop.regions[Number(regionEl.dataset.index)] } : null,
+            startX: e.clientX,
+            startY: e.clientY,
+            active: false,
+            timer: null,
+        };
+
+        // 영역 위에서는 바로, 빈 곳에서는 마우스만 바로 (터치는 길게 눌러야 그리기 - 그 전엔 스크롤)
+        if (drag.mode !== 'draw' || e.pointerType === 'mouse') {
+            startDrag(e);
+        } else {
+            drag.timer = setTimeout(() => {
+                if (drag && !drag.active) startDrag(e);
+            }, CROP_LONG_PRESS_MS);
+        }
+    });
+
+    stage.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        if (!drag.active) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > 10) {
+                clearTimeout(drag.timer);
+                drag = null;
+            }
+            return;
+        }
+
+        const crop = appState.crop;
+        const point = cropPointFromEvent(e);
+        const region = drag.region;
+
+        if (drag.mode === 'draw') {
+            Object.assign(region, normalizeCropRect(drag.start, point));
+        } else if (drag.mode === 'move') {
+            const dx = point.x - drag.start.x;
+            const dy = point.y - drag.start.y;
+            region.x = Math.round(Math.min(Math.max(drag.origin.x + dx, 0), crop.naturalWidth - region.width));
+            region.y = Math.round(Math.min(Math.max(drag.origin.y + dy, 0), crop.naturalHeight - region.height));
+        } else {
+            // 반대쪽 모서리를 고정점으로 크기 조절
+            const o = drag.origin;
+            const anchor = drag.handle === 'nw'
+                ? { x: o.x + o.width, y: o.y + o.height }
+                : { x: o.x, y: o.y };
+            Object.assign(region, normalizeCropRect(anchor, point));
+        }
+        renderCropRegions();
+    });
+
+    stage.addEventListener('touchmove', (e) => {
+        if (drag?.active) e.preventDefault();
+    }, { passive: false });
+
+    const endDrag = () => {
+        if (!drag) return;
+        clearTimeout(drag.timer);
+        const crop = appState.crop;
+        if (drag.active && crop) {
+            const region = drag.region;
+            delete region.drawing;
+            if (region.width < CROP_MIN_SIZE || region.height < CROP_MIN_SIZE) {
+                if (drag.mode === 'draw') {
+                    crop.regions.splice(crop.regions.indexOf(region), 1);
+                } else {
+                    Object.assign(region, drag.origin);
+                }
+            }
+            renderCropRegions();
+        }
+        drag = null;
+    };
+    stage.addEventListener('pointerup', endDrag);
+    stage.addEventListener('pointercancel', endDrag);
+}
+
+// 영역을 원본 해상도로 잘라 (필요하면 회전해서) Blob으로
+function renderCropRegion(img, region, type) {
+    const rotated = region.rotation % 180 !== 0;
+    const canvas = document.createElement('canvas');
+    canvas.width = rotated ? region.height : region.width;
+    canvas.height = rotated ? region.width : region.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(region.rotation * Math.PI / 180);
+    ctx.drawImage(img, region.x, region.y, region.width, region.height,
+        -region.width / 2, -region.height / 2, region.width, region.height);
+
+    const outputType = ['image/png', 'image/jpeg', 'image/webp'].includes(type) ? type : 'image/png';
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Crop failed')), outputType, 0.92);
+    });
+}
+
+// 영역마다 새 항목 생성 - 태그·메모 복사, sourceId로 원본과 연결 (원본은 그대로 둠)
+async function applyCropSplit() {
+    const crop = appState.crop;
+    const source = appState.allImages.find(img => img.id === crop?.imageId);
+    if (!crop || !source || crop.regions.length === 0) {
+        showToast('나눌 영역을 먼저 그려주세요');
+        return;
+    }
+
+    // 편집 중인 메모도 함께 복사
+    const memo = appState.currentEditImageId === source.id
+        ? document.getElementById('editMemo').value
+        : source.memo || '';
+    const img = document.getElementById('cropImage');
+    const regions = [...crop.regions].sort((a, b) => a.y - b.y || a.x - b.x);
+    const created = [];
+
+    showProgress(regions.length);
+    try {
+        for (let i = 0; i < regions.length; i++) {
+            const { x, y, width, height, rotation } = regions[i];
+            const blob = await renderCropRegion(img, regions[i], crop.type);
+            const { thumbnail, phash, palette } = await generateThumbnailFromBlob(blob);
+
+            const record = {
+                id: Date.now() + i,
+                thumbnail: thumbnail,
+                phash: phash,
+                palette: palette,
+                structuredTags: JSON.parse(JSON.stringify(source.structuredTags)),
+                freeTags: [...source.freeTags],
+                memo: memo,
+                createdAt: new Date().toISOString(),
+                capturedAt: getCaptureDate(source),
+                sourceId: source.id,
+                cropRegion: { x, y, width, height, rotation },
+            };
+
+            await dbSaveImage(record, blob);
+            appState.allImages.push(record);
+            created.push(record);
+            updateProgress(i + 1, regions.length);
+        }
+    } catch (error) {
+        console.error('Split error:', error);
+        showToast('나누는 중 오류가 발생했습니다');
+    }
+    hideProgress();
+
+    if (created.length === 0) return;
+
+    closeCropEditor();
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    renderArchiveGrid();
+    applyFilters();
+    renderEditSourceLinks(source.id);
+    showToast(`${created.length}개 항목으로 나눴습니다`);
+}
+
+// ====== Tag Picker ======
 function openTagPicker() {
     document.getElementById('tagPickerOverlay').style.display = 'block';
     document.getElementById('tagPicker').style.display = 'flex';
@@ -1065,244 +6882,1531 @@ function openTagPicker() {
     renderTagPicker('');
 }
 
-function closeTagPicker() {
-    document.getElementById('tagPickerOverlay').style.display = 'none';
-    document.getElementById('tagPicker').style.display = 'none';
+function closeTagPicker() {
+    document.getElementById('tagPickerOverlay').style.display = 'none';
+    document.getElementById('tagPicker').style.display = 'none';
+}
+
+function renderTagPicker(searchQuery) {
+    const content = document.getElementById('tagPickerContent');
+    if (!content) return;
+
+    let html = '';
+
+    if (appState.currentTagPickerTarget === 'search') {
+        // 1. Structured Tags Section
+        html += '<div class="tag-picker-section">';
+        html += '<div class="tag-picker-section-title">구조화 필터</div>';
+
+        for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
+            const label = config.label;
+            // 텍스트·URL 필드는 검색어(필드:값)로만 거름
+            if (!isChoiceCategory(config)) {
+                if (!RANGE_FIELD_TYPES.includes(getCategoryType(config))) continue;
+                html += `<div class="structured-picker-category"><strong>${label}</strong></div>`;
+                html += renderFieldRangePicker(key, config);
+                continue;
+            }
+            html += `<div class="structured-picker-category"><strong>${label}</strong></div>`;
+            html += '<div class="tag-picker-badges">';
+
+            config.values.forEach(value => {
+                let isSelected = false;
+                const filterValue = appState.structuredFilters[key];
+                if (config.multi) {
+                    isSelected = filterValue.includes(value);
+                } else {
+                    isSelected = filterValue === value;
+                }
+
+                html += `
+                    <button class="tag-badge ${isSelected ? 'selected' : ''}" 
+                            onclick="selectStructuredFilter('${key}', '${value}')">
+                        ${value}
+                    </button>
+                `;
+            });
+
+            html += '</div>';
+        }
+
+        html += '</div>';
+
+        // 2. Free Tags Section
+        html += '<div class="tag-picker-section">';
+        html += '<div class="tag-picker-section-title">자유 태그</div>';
+        html += '<div class="tag-picker-badges">';
+
+        searchFreeTags(appState.allFreeTags, searchQuery).forEach(tag => {
+            html += `
+                <button class="tag-badge ${appState.activeFreeTags.includes(tag) ? 'selected' : ''}" 
+                        onclick="selectFreeTag('${tag}')">
+                    ${tag}${getTagChildren(tag).length > 0 ? ' <small>⊃</small>' : ''}
+                </button>
+            `;
+        });
+
+        html += '</div>';
+        html += '</div>';
+
+        // 3. New Free Tag Option
+        if (searchQuery && !appState.allFreeTags.includes(searchQuery)) {
+            html += `
+                <div class="tag-picker-section">
+                    <button class="tag-badge-new" onclick="createNewFreeTag('${searchQuery}')">
+                        + '${searchQuery}' 태그 만들기
+                    </button>
+                </div>
+            `;
+        }
+    } else if (appState.currentTagPickerTarget === 'bulk') {
+        // Bulk edit: free tags to add to every selected image
+        const addTags = appState.bulkEdit?.addTags || [];
+        html += '<div class="tag-picker-section">';
+        html += '<div class="tag-picker-section-title">자유 태그</div>';
+        html += '<div class="tag-picker-badges">';
+
+        searchFreeTags(appState.allFreeTags, searchQuery).forEach(tag => {
+            html += `
+                <button class="tag-badge ${addTags.includes(tag) ? 'selected' : ''}" 
+                        onclick="selectFreeTagInBulk('${tag}')">
+                    ${tag}
+                </button>
+            `;
+        });
+
+        html += '</div>';
+        html += '</div>';
+
+        if (searchQuery && !appState.allFreeTags.includes(searchQuery) && !addTags.includes(searchQuery)) {
+            html += `
+                <div class="tag-picker-section">
+                    <button class="tag-badge-new" onclick="selectFreeTagInBulk('${searchQuery}')">
+                        + '${searchQuery}' 태그 만들기
+                    </button>
+                </div>
+            `;
+        }
+    } else if (appState.currentTagPickerTarget === 'edit') {
+        // Edit mode: only free tags
+        html += '<div class="tag-picker-section">';
+        html += '<div class="tag-picker-section-title">자유 태그</div>';
+        html += '<div class="tag-picker-badges">';
+
+        searchFreeTags(appState.allFreeTags, searchQuery).forEach(tag => {
+            const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+            const isSelected = image && image.freeTags.includes(tag);
+
+            html += `
+                <button class="tag-badge ${isSelected ? 'selected' : ''}" 
+                        onclick="selectFreeTagInEdit('${tag}')">
+                    ${tag}
+                </button>
+            `;
+        });
+
+        html += '</div>';
+        html += '</div>';
+
+        // New tag option
+        if (searchQuery && !appState.allFreeTags.includes(searchQuery)) {
+            html += `
+                <div class="tag-picker-section">
+                    <button class="tag-badge-new" onclick="createNewFreeTagInEdit('${searchQuery}')">
+                        + '${searchQuery}' 태그 만들기
+                    </button>
+                </div>
+            `;
+        }
+    }
+
+    content.innerHTML = html;
+}
+
+function selectStructuredFilter(key, value) {
+    const config = appState.structuredTagsConfig[key];
+    if (config.multi) {
+        const index = appState.structuredFilters[key].indexOf(value);
+        if (index !== -1) {
+            appState.structuredFilters[key].splice(index, 1);
+        } else {
+            appState.structuredFilters[key].push(value);
+        }
+    } else {
+        appState.structuredFilters[key] = appState.structuredFilters[key] === value ? null : value;
+    }
+    applyFilters();
+    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+}
+
+function selectFreeTag(tag) {
+    const index = appState.activeFreeTags.indexOf(tag);
+    if (index !== -1) {
+        appState.activeFreeTags.splice(index, 1);
+    } else {
+        appState.activeFreeTags.push(tag);
+    }
+    applyFilters();
+    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+}
+
+function selectFreeTagInEdit(tag) {
+    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
+    if (!image) return;
+
+    const index = image.freeTags.indexOf(tag);
+    if (index !== -1) {
+        image.freeTags.splice(index, 1);
+    } else {
+        image.freeTags.push(tag);
+        rememberRecentFreeTag(tag);
+    }
+
+    renderEditFreeTags(image.freeTags);
+    saveTriageChange(image);
+    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+}
+
+// 새 태그는 적용 시점에 자유 태그 목록에 저장됨
+function selectFreeTagInBulk(tag) {
+    toggleBulkAddTag(tag.trim());
+    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+}
+
+async function createNewFreeTag(tag) {
+    const trimmed = tag.trim();
+    if (!appState.allFreeTags.includes(trimmed)) {
+        appState.allFreeTags.push(trimmed);
+        appState.allFreeTags.sort();
+        await dbSaveFreeTags(appState.allFreeTags);
+    }
+    selectFreeTag(trimmed);
+}
+
+async function createNewFreeTagInEdit(tag) {
+    const trimmed = tag.trim();
+    if (!appState.allFreeTags.includes(trimmed)) {
+        appState.allFreeTags.push(trimmed);
+        appState.allFreeTags.sort();
+        await dbSaveFreeTags(appState.allFreeTags);
+    }
+    selectFreeTagInEdit(trimmed);
+}
+
+// ====== Trash ======
+// 삭제한 이미지는 휴지통 스토어로 옮겼다가 보관 기간이 지나면 지움
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const UNDO_TOAST_MS = 6000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getTrashRetentionDays() {
+    return Number(localStorage.getItem('trashRetentionDays')) || DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function clearLocalStorageExceptTrash() {
+    const kept = ['trash', 'trashRetentionDays'].map(key => [key, localStorage.getItem(key)]);
+    localStorage.clear();
+    kept.forEach(([key, value]) => {
+        if (value !== null) localStorage.setItem(key, value);
+    });
+}
+
+// 이미지들을 휴지통으로 옮기고 메모리 상태(컬렉션·코디 소속 포함)도 정리. 옮긴 항목을 돌려줌
+async function moveImagesToTrash(imageIds) {
+    const ids = new Set(imageIds);
+    const deletedAt = new Date().toISOString();
+    const entries = appState.allImages.filter(img => ids.has(img.id)).map(img => ({
+        id: img.id,
+        record: img,
+        collections: appState.collections
+            .filter(collection => collection.imageIds.includes(img.id))
+            .map(collection => ({ id: collection.id, index: collection.imageIds.indexOf(img.id) })),
+        looks: appState.looks.flatMap(look => Object.entries(look.items)
+            .filter(([, id]) => id === img.id)
+            .map(([slot]) => ({ id: look.id, slot }))),
+        deletedAt,
+    }));
+    if (entries.length === 0) return entries;
+
+    await dbTrashImages(entries);
+    appState.allImages = appState.allImages.filter(img => !ids.has(img.id));
+    ids.forEach(id => appState.selectedImageIds.delete(id));
+    forgetImageReferences(ids);
+    return entries;
+}
+
+// 휴지통 항목을 되살리고 원래 있던 컬렉션 자리·코디 슬롯에 다시 넣음 (그 사이 채워진 슬롯은 그대로)
+async function restoreFromTrash(entries) {
+    const existing = new Set(appState.allImages.map(img => img.id));
+    const restorable = entries.filter(entry => !existing.has(entry.id));
+    if (restorable.length === 0) return 0;
+
+    const collections = new Map();
+    restorable
+        .flatMap(entry => entry.collections.map(({ id, index }) => ({ id, index, imageId: entry.id })))
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ id, index, imageId }) => {
+            const local = collections.get(id) || getCollection(id);
+            if (!local || local.imageIds.includes(imageId)) return;
+            const imageIds = [...local.imageIds];
+            imageIds.splice(Math.min(index, imageIds.length), 0, imageId);
+            collections.set(id, { ...local, imageIds });
+        });
+
+    const looks = new Map();
+    restorable.forEach(entry => entry.looks.forEach(({ id, slot }) => {
+        const local = looks.get(id) || appState.looks.find(look => look.id === id);
+        if (!local || slot in local.items) return;
+        looks.set(id, { ...local, items: { ...local.items, [slot]: entry.id } });
+    }));
+
+    await dbRestoreImages(restorable, { collections: [...collections.values()], looks: [...looks.values()] });
+
+    appState.allImages.push(...restorable.map(entry => entry.record));
+    appState.collections = appState.collections.map(collection => collections.get(collection.id) || collection);
+    appState.looks = appState.looks.map(look => looks.get(look.id) || look);
+
+    // 휴지통에 있는 동안 지워진 태그는 태그 목록에 다시 추가
+    const missingTags = [...new Set(restorable.flatMap(entry => entry.record.freeTags))]
+        .filter(tag => !appState.allFreeTags.includes(tag));
+    if (missingTags.length > 0) {
+        appState.allFreeTags = [...appState.allFreeTags, ...missingTags].sort();
+        await dbSaveFreeTags(appState.allFreeTags);
+    }
+
+    refreshAfterImageChanges();
+    return restorable.length;
+}
+
+function refreshAfterImageChanges() {
+    recalculateFreeTagFrequency();
+    updateInfoDisplay();
+    applyFilters();
+    renderArchiveGrid();
+    renderTagsList();
+    renderLooks();
+    updateSelectionUI();
+}
+
+// 이미지 삭제 후 공통: "실행 취소"를 누르면 방금 휴지통으로 옮긴 이미지를 되살림
+function showTrashUndoToast(entries, message, beforeRestore = null) {
+    showToast(message, async () => {
+        if (beforeRestore) await beforeRestore();
+        const count = await restoreFromTrash(entries);
+        refreshTrashInfo();
+        showToast(`${count}개 복원됨`);
+    });
+    refreshTrashInfo();
+}
+
+async function purgeExpiredTrash() {
+    try {
+        const limit = Date.now() - getTrashRetentionDays() * DAY_MS;
+        const expired = (await dbGetTrash()).filter(entry => new Date(entry.deletedAt).getTime() < limit);
+        if (expired.length > 0) await dbPurgeTrash(expired.map(entry => entry.id));
+    } catch (error) {
+        console.error('Trash purge error:', error);
+    }
+}
+
+// 원본 Blob + 메타데이터(썸네일 data URL 포함) 크기
+function getTrashEntrySize(entry) {
+    return (entry.original?.size || 0) + JSON.stringify(entry.record).length;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function refreshTrashInfo() {
+    const info = document.getElementById('trashInfo');
+    if (!info) return;
+    const trash = await dbGetTrash();
+    info.textContent = trash.length > 0
+        ? `${trash.length}개 · ${formatBytes(trash.reduce((sum, entry) => sum + getTrashEntrySize(entry), 0))}`
+        : '비어 있음';
+}
+
+async function openTrash() {
+    appState.trash = { entries: [], selected: new Set() };
+    await renderTrash();
+    openModal('trashModal');
+}
+
+async function renderTrash() {
+    const trash = appState.trash;
+    if (!trash) return;
+
+    trash.entries = (await dbGetTrash())
+        .sort((a, b) => new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime());
+    trash.selected = new Set([...trash.selected].filter(id => trash.entries.some(entry => entry.id === id)));
+
+    const days = getTrashRetentionDays();
+    const size = trash.entries.reduce((sum, entry) => sum + getTrashEntrySize(entry), 0);
+    document.getElementById('trashSummary').textContent = trash.entries.length > 0
+        ? `${trash.entries.length}개 · ${formatBytes(size)} · 삭제 후 ${days}일이 지나면 자동으로 지워져요`
+        : '휴지통이 비어 있어요';
+
+    document.getElementById('trashGrid').innerHTML = trash.entries.map(entry => {
+        const daysLeft = Math.max(0, Math.ceil((new Date(entry.deletedAt).getTime() + days * DAY_MS - Date.now()) / DAY_MS));
+        return `
+            <div class="image-card trash-item ${trash.selected.has(entry.id) ? 'selected' : ''}" onclick="toggleTrashSelection(${entry.id})">
+                <img src="${entry.record.thumbnail}" alt="" loading="lazy" decoding="async" style="object-fit: contain;">
+                <span class="trash-days-left">${daysLeft}일 남음</span>
+            </div>
+        `;
+    }).join('');
+
+    const count = trash.selected.size;
+    document.getElementById('trashRestoreBtn').disabled = count === 0;
+    document.getElementById('trashPurgeBtn').disabled = count === 0;
+    document.getElementById('trashRestoreBtn').textContent = count > 0 ? `${count}개 복원` : '복원';
+    document.getElementById('trashPurgeBtn').textContent = count > 0 ? `${count}개 영구 삭제` : '영구 삭제';
+    document.getElementById('trashEmptyBtn').disabled = trash.entries.length === 0;
+}
+
+function toggleTrashSelection(id) {
+    const selected = appState.trash.selected;
+    if (selected.has(id)) {
+        selected.delete(id);
+    } else {
+        selected.add(id);
+    }
+    renderTrash();
+}
+
+async function restoreSelectedTrash() {
+    const { entries, selected } = appState.trash;
+    const targets = entries.filter(entry => selected.has(entry.id));
+    const count = await restoreFromTrash(targets);
+    await renderTrash();
+    refreshTrashInfo();
+    showToast(count < targets.length ? `${count}개 복원됨 (같은 ID의 이미지가 있어 ${targets.length - count}개 제외)` : `${count}개 복원됨`);
+}
+
+async function purgeTrash(all) {
+    const { entries, selected } = appState.trash;
+    const ids = all ? entries.map(entry => entry.id) : [...selected];
+    if (ids.length === 0) return;
+    if (!confirm(`${ids.length}개 이미지를 영구 삭제하시겠습니까?\n되돌릴 수 없습니다.`)) return;
+
+    await dbPurgeTrash(ids);
+    await renderTrash();
+    refreshTrashInfo();
+    showToast('영구 삭제됨');
+}
+
+function setupTrashEventListeners() {
+    document.getElementById('trashBtn')?.addEventListener('click', openTrash);
+    document.getElementById('trashRestoreBtn')?.addEventListener('click', restoreSelectedTrash);
+    document.getElementById('trashPurgeBtn')?.addEventListener('click', () => purgeTrash(false));
+    document.getElementById('trashEmptyBtn')?.addEventListener('click', () => purgeTrash(true));
+
+    const retention = document.getElementById('trashRetention');
+    if (retention) {
+        retention.value = String(getTrashRetentionDays());
+        retention.addEventListener('change', async () => {
+            localStorage.setItem('trashRetentionDays', retention.value);
+            await purgeExpiredTrash();
+            refreshTrashInfo();
+        });
+    }
+    refreshTrashInfo();
+}
+
+// ====== Statistics ======
+// 외부 차트 라이브러리 없이 HTML 막대로 그림. 막대를 누르면 그 조건으로 검색 탭을 엶
+const STATS_TOP_TAGS = 10;
+const STATS_TOP_PAIRS = 10;
+
+function openStats() {
+    renderStats();
+    openModal('statsModal');
+}
+
+// 막대마다 누를 때 할 일을 번호로 저장 (onclick 문자열에 값을 넣지 않기 위해)
+function statsAction(action) {
+    appState.statsActions.push(action);
+    return appState.statsActions.length - 1;
+}
+
+function runStatsAction(index) {
+    const action = appState.statsActions[index];
+    if (action) action();
+}
+
+// 검색 조건을 새로 만들어 검색 탭으로
+function jumpToSearch({ structuredFilters = {}, activeFreeTags = [], filterMode = 'and', query = '' }) {
+    closeModal('statsModal');
+    switchTab('search');
+    applySearchState({ structuredFilters, activeFreeTags, filterMode, sortBy: appState.sortBy, query });
+}
+
+function renderStatsBars(rows) {
+    const max = Math.max(1, ...rows.map(row => row.count));
+    return `
+        <div class="stats-bars">
+            ${rows.map(row => `
+                <button class="stats-bar-row" onclick="runStatsAction(${statsAction(row.action)})">
+                    <span class="stats-bar-label">${row.label}</span>
+                    <span class="stats-bar-track"><span class="stats-bar-fill" style="width: ${row.count / max * 100}%; ${row.color ? `background-color: ${row.color};` : ''}"></span></span>
+                    <span class="stats-bar-count">${row.count}</span>
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+// 첫 이미지가 추가된 달부터 이번 달까지 (빈 달도 0으로)
+function getMonthlyImageCounts() {
+    const counts = new Map();
+    appState.allImages.forEach(img => {
+        const date = new Date(img.createdAt);
+        const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        counts.set(month, (counts.get(month) || 0) + 1);
+    });
+    if (counts.size === 0) return [];
+
+    const [first] = [...counts.keys()].sort();
+    const cursor = new Date(Number(first.slice(0, 4)), Number(first.slice(5)) - 1, 1);
+    const end = new Date();
+    const months = [];
+    while (cursor <= end) {
+        const month = `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`;
+        months.push({ month, count: counts.get(month) || 0 });
+        cursor.setMonth(cursor.getMonth() + 1);
+    }
+    return months;
+}
+
+function renderMonthlyChart() {
+    const months = getMonthlyImageCounts();
+    if (months.length === 0) return '<p class="stats-empty">이미지가 없어요</p>';
+
+    const max = Math.max(1, ...months.map(m => m.count));
+    return `
+        <div class="stats-columns">
+            ${months.map(({ month, count }) => `
+                <button class="stats-column" title="${month} · ${count}개"
+                        onclick="runStatsAction(${statsAction(() => jumpToSearch({ query: `날짜:${month}` }))})">
+                    <span class="stats-column-count">${count || ''}</span>
+                    <span class="stats-column-bar" style="height: ${count / max * 100}%;"></span>
+                    <span class="stats-column-label">${month.endsWith('-01') || month === months[0].month ? month.slice(2, 4) + '.' : ''}${Number(month.slice(5))}</span>
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderCategoryStats() {
+    return Object.entries(appState.structuredTagsConfig).filter(([, config]) => isChoiceCategory(config)).map(([key, config]) => {
+        const rows = config.values.map(value => ({
+            label: `${renderSwatchDot(config, value)}${value}`,
+            count: appState.allImages.filter(img => getStructuredValueList(img, key).includes(value)).length,
+            action: () => jumpToSearch({ structuredFilters: { [key]: config.multi ? [value] : value } }),
+        }));
+        return `
+            <div class="stats-subsection">
+                <h4>${config.label}</h4>
+                ${renderStatsBars(rows)}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderFreeTagStats() {
+    const tags = [...appState.allFreeTags].sort((a, b) =>
+        (appState.freeTagFrequency[b] || 0) - (appState.freeTagFrequency[a] || 0) || a.localeCompare(b));
+    if (tags.length === 0) return '<p class="stats-empty">자유 태그가 없어요</p>';
+
+    const toRow = tag => ({
+        label: tag,
+        count: appState.freeTagFrequency[tag] || 0,
+        action: () => jumpToSearch({ activeFreeTags: [tag] }),
+    });
+    const most = tags.slice(0, STATS_TOP_TAGS);
+    // 많이 쓰는 목록과 겹치지 않게
+    const least = tags.slice(Math.max(most.length, tags.length - STATS_TOP_TAGS)).reverse();
+
+    return `
+        <div class="stats-subsection">
+            <h4>가장 많이 쓴 태그</h4>
+            ${renderStatsBars(most.map(toRow))}
+        </div>
+        ${least.length > 0 ? `
+            <div class="stats-subsection">
+                <h4>가장 적게 쓴 태그</h4>
+                ${renderStatsBars(least.map(toRow))}
+            </div>
+        ` : ''}
+    `;
+}
+
+// 한 이미지에 함께 붙은 자유 태그 쌍
+function getTagPairCounts() {
+    const pairs = new Map();
+    appState.allImages.forEach(img => {
+        const tags = [...new Set(img.freeTags)].sort();
+        for (let i = 0; i < tags.length; i++) {
+            for (let j = i + 1; j < tags.length; j++) {
+                const key = JSON.stringify([tags[i], tags[j]]);
+                pairs.set(key, (pairs.get(key) || 0) + 1);
+            }
+        }
+    });
+    return [...pairs.entries()]
+        .map(([key, count]) => ({ tags: JSON.parse(key), count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+function renderCooccurrenceStats() {
+    const pairs = getTagPairCounts().slice(0, STATS_TOP_PAIRS);
+    if (pairs.length === 0) return '<p class="stats-empty">함께 붙은 태그가 없어요</p>';
+
+    return renderStatsBars(pairs.map(({ tags, count }) => ({
+        label: tags.join(' + '),
+        count,
+        action: () => jumpToSearch({ activeFreeTags: tags, filterMode: 'and' }),
+    })));
+}
+
+function renderStats() {
+    const container = document.getElementById('statsContent');
+    if (!container) return;
+    appState.statsActions = [];
+
+    const untagged = appState.allImages.filter(isUntaggedImage).length;
+    const now = new Date();
+    const thisMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const addedThisMonth = appState.allImages.filter(img => {
+        const date = new Date(img.createdAt);
+        return date.getFullYear() === now.getFullYear() && date.getMonth() === now.getMonth();
+    }).length;
+
+    const tile = (label, value, action) => `
+        <button class="stats-tile" onclick="runStatsAction(${statsAction(action)})">
+            <span class="stats-tile-value">${value}</span>
+            <span class="stats-tile-label">${label}</span>
+        </button>
+    `;
+
+    container.innerHTML = `
+        <div class="stats-tiles">
+            ${tile('전체 이미지', appState.allImages.length, () => jumpToSearch({}))}
+            ${tile('이번 달 추가', addedThisMonth, () => jumpToSearch({ query: `날짜:${thisMonth}` }))}
+            ${tile('태그 없음', untagged, () => jumpToSearch({ query: '상태:태그없음' }))}
+        </div>
+
+        <div class="stats-section">
+            <h3>월별 추가</h3>
+            ${renderMonthlyChart()}
+        </div>
+
+        <div class="stats-section">
+            <h3>구조화 태그 분포</h3>
+            ${renderCategoryStats()}
+        </div>
+
+        <div class="stats-section">
+            <h3>자유 태그</h3>
+            ${renderFreeTagStats()}
+        </div>
+
+        <div class="stats-section">
+            <h3>함께 쓰는 태그</h3>
+            ${renderCooccurrenceStats()}
+        </div>
+
+        <div class="stats-section">
+            <h3>저장 공간</h3>
+            <div id="statsStorage"><p class="stats-empty">계산 중…</p></div>
+        </div>
+    `;
+
+    renderStorageStats();
+}
+
+// 원본 · 썸네일과 정보 · 휴지통으로 나눈 사용량 (+ 브라우저가 알려주는 전체 사용량)
+async function renderStorageStats() {
+    const container = document.getElementById('statsStorage');
+    if (!container) return;
+
+    try {
+        const [originals, trash, estimate] = await Promise.all([
+            dbGetOriginalsSize(),
+            dbGetTrash(),
+            navigator.storage?.estimate ? navigator.storage.estimate() : Promise.resolve(null),
+        ]);
+        const segments = [
+            { label: '원본', size: originals, className: 'originals' },
+            { label: '썸네일·정보', size: appState.allImages.reduce((sum, { original, ...img }) => sum + JSON.stringify(img).length, 0), className: 'metadata' },
+            { label: '휴지통', size: trash.reduce((sum, entry) => sum + getTrashEntrySize(entry), 0), className: 'trash', action: openTrash },
+        ];
+        const total = segments.reduce((sum, segment) => sum + segment.size, 0);
+
+        container.innerHTML = `
+            <div class="stats-stack">
+                ${segments.filter(segment => segment.size > 0).map(segment => `
+                    <span class="stats-stack-segment ${segment.className}" style="flex-grow: ${segment.size};"
+                          ${segment.action ? `onclick="runStatsAction(${statsAction(segment.action)})"` : ''}></span>
+                `).join('')}
+            </div>
+            ${segments.map(segment => `
+                <div class="info-row ${segment.action ? 'stats-clickable' : ''}" ${segment.action ? `onclick="runStatsAction(${statsAction(segment.action)})"` : ''}>
+                    <span><span class="stats-legend ${segment.className}"></span>${segment.label}</span>
+                    <span>${formatBytes(segment.size)}</span>
+                </div>
+            `).join('')}
+            <div class="info-row">
+                <span>합계</span>
+                <span>${formatBytes(total)}</span>
+            </div>
+            ${estimate?.quota ? `<p class="stats-note">브라우저 저장소 사용량 ${formatBytes(estimate.usage || 0)} / ${formatBytes(estimate.quota)}</p>` : ''}
+        `;
+    } catch (error) {
+        console.error('Storage stats error:', error);
+        container.innerHTML = '<p class="stats-empty">계산하지 못했어요</p>';
+    }
+}
+
+// ====== Settings ======
+// 백업 파일 형식(version 2)은 원본을 data URL로 포함하므로 이미지별로 읽어서 이어 붙임
+async function exportData() {
+    const images = appState.allImages;
+    const parts = ['{\n"version": 2,\n"images": [\n'];
+
+    showProgress(images.length);
+    for (let i = 0; i < images.length; i++) {
+        const original = await dbGetOriginal(images[i].id);
+        const record = { ...images[i], original: original ? await fileToDataURL(original) : images[i].original };
+        parts.push((i > 0 ? ',\n' : '') + JSON.stringify(record));
+        updateProgress(i + 1, images.length);
+    }
+    hideProgress();
+
+    parts.push('\n],\n"freeTags": ' + JSON.stringify(appState.allFreeTags));
+    parts.push(',\n"structuredTagsConfig": ' + JSON.stringify(appState.structuredTagsConfig));
+    parts.push(',\n"savedSearches": ' + JSON.stringify(appState.savedSearches));
+    parts.push(',\n"tagHierarchy": ' + JSON.stringify(appState.tagHierarchy));
+    parts.push(',\n"collections": ' + JSON.stringify(appState.collections));
+    parts.push(',\n"looks": ' + JSON.stringify(appState.looks) + '\n}\n');
+
+    downloadBlob(new Blob(parts, { type: 'application/json' }), `outfit-${new Date().toISOString().split('T')[0]}.json`);
+    showToast('내보냄');
+}
+
+async function importData(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    try {
+        const backup = isZipFile(file) ? await readZipBackup(file) : parseJsonBackup(await file.text());
+        validateBackup(backup);
+        appState.pendingImport = {
+            backup,
+            analysis: analyzeImport(backup),
+            options: { mode: 'merge', identical: 'keepLocal', conflicting: 'keepLocal', categories: 'keepLocal' },
+        };
+        renderImportWizard();
+        openModal('importModal');
+    } catch (error) {
+        showToast('실패: ' + error.message);
+    }
+}
+
+// 백업 파일을 { images: [{ record, getOriginal }], freeTags, structuredTagsConfig, savedSearches, tagHierarchy, collections, looks } 형태로 정리
+function parseJsonBackup(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data.images)) {
+        throw new Error('백업 파일 형식이 아닙니다');
+    }
+
+    return {
+        version: data.version,
+        images: data.images.map(image => {
+            const { original, ...record } = image;
+            return {
+                record,
+                getOriginal: async () => original ? dataURLToBlob(original) : null,
+            };
+        }),
+        freeTags: data.freeTags || [],
+        structuredTagsConfig: data.structuredTagsConfig || null,
+        savedSearches: data.savedSearches || [],
+        tagHierarchy: data.tagHierarchy || null,
+        collections: data.collections || [],
+        looks: data.looks || [],
+    };
+}
+
+// 이미지는 휴지통으로 옮겨 두므로 보관 기간 안에는 설정 > 휴지통에서 되살릴 수 있음
+async function resetAll() {
+    await moveImagesToTrash(appState.allImages.map(img => img.id));
+    await dbClearAll();
+    appState.allImages = [];
+    appState.allFreeTags = [];
+    clearLocalStorageExceptTrash();
+    location.reload();
+}
+
+// ====== ZIP Backup ======
+// 원본 이미지를 실제 파일로 담은 ZIP 백업 (압축 없이 저장, 외부 라이브러리 없음)
+// images/ 원본, thumbnails/ 썸네일(선택), metadata.json 태그·메모·설정
+const ZIP_BACKUP_VERSION = 3;
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/heic': 'heic',
+    'image/heif': 'heif',
+    'image/avif': 'avif',
+    'image/bmp': 'bmp',
+};
+
+async function exportZipData() {
+    const includeThumbnails = document.getElementById('exportZipThumbnails')?.checked || false;
+    const fileName = `outfit-${new Date().toISOString().split('T')[0]}.zip`;
+
+    let sink;
+    try {
+        sink = await createZipSink(fileName);
+    } catch (error) {
+        if (error.name !== 'AbortError') showToast('실패: ' + error.message);
+        return;
+    }
+
+    const images = getArchiveImages();
+    const usedNames = new Set();
+    const metadataImages = [];
+    const zip = createZipWriter(sink);
+
+    showProgress(images.length);
+    try {
+        for (let i = 0; i < images.length; i++) {
+            const { thumbnail, ...record } = images[i];
+            const original = await dbGetOriginal(record.id);
+            const baseName = uniqueZipName(backupFileBaseName(record), usedNames);
+            const entry = { ...record };
+
+            if (original) {
+                entry.file = `images/${baseName}.${IMAGE_EXTENSIONS[original.type] || 'bin'}`;
+                await zip.addFile(entry.file, original, getCaptureDate(record));
+            }
+            if (includeThumbnails && thumbnail) {
+                entry.thumbnailFile = `thumbnails/${baseName}.jpg`;
+                await zip.addFile(entry.thumbnailFile, dataURLToBlob(thumbnail), record.createdAt);
+            }
+
+            metadataImages.push(entry);
+            updateProgress(i + 1, images.length);
+        }
+
+        const metadata = {
+            version: ZIP_BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            images: metadataImages,
+            freeTags: appState.allFreeTags,
+            structuredTagsConfig: appState.structuredTagsConfig,
+            savedSearches: appState.savedSearches,
+            tagHierarchy: appState.tagHierarchy,
+            collections: appState.collections,
+            looks: appState.looks,
+        };
+        const metadataBlob = new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+        await zip.addFile('metadata.json', metadataBlob, metadata.exportedAt);
+        await zip.finish();
+        await sink.close();
+        showToast('내보냄');
+    } catch (error) {
+        await sink.abort?.();
+        showToast('실패: ' + error.message);
+    } finally {
+        hideProgress();
+    }
+}
+
+function backupFileBaseName(record) {
+    const date = (record.createdAt || '').split('T')[0] || 'image';
+    return `${date}_${record.id}`;
+}
+
+function uniqueZipName(name, usedNames) {
+    let candidate = name;
+    for (let n = 2; usedNames.has(candidate); n++) {
+        candidate = `${name}-${n}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+}
+
+// 파일 저장 API가 있으면 디스크로 바로 쓰고, 없으면 Blob 조각을 모아 다운로드
+// (조각은 IndexedDB Blob 참조라 원본 전체를 메모리에 올리지 않음)
+async function createZipSink(fileName) {
+    if (window.showSaveFilePicker) {
+        const handle = await window.showSaveFilePicker({
+            suggestedName: fileName,
+            types: [{ description: 'ZIP', accept: { 'application/zip': ['.zip'] } }],
+        });
+        const writable = await handle.createWritable();
+        return {
+            write: (part) => writable.write(part),
+            close: () => writable.close(),
+            abort: () => writable.abort(),
+        };
+    }
+
+    const parts = [];
+    return {
+        write: async (part) => { parts.push(part); },
+        close: async () => downloadBlob(new Blob(parts, { type: 'application/zip' }), fileName),
+    };
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+function createZipWriter(sink) {
+    const encoder = new TextEncoder();
+    const entries = [];
+    let offset = 0;
+
+    async function addFile(name, blob, date) {
+        const nameBytes = encoder.encode(name);
+        const crc = await crc32Blob(blob);
+        const { time, day } = toDosDateTime(date ? new Date(date) : new Date());
+
+        if (offset + 30 + nameBytes.length + blob.size > 0xFFFFFFFF || entries.length >= 0xFFFF) {
+            throw new Error('ZIP 파일은 4GB, 65535개까지 만들 수 있습니다');
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);   // UTF-8 파일명
+        header.setUint16(8, 0, true);        // 무압축(stored)
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, blob.size, true);
+        header.setUint32(22, blob.size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        await sink.write(new Uint8Array(header.buffer));
+        await sink.write(nameBytes);
+        await sink.write(blob);
+
+        entries.push({ nameBytes, crc, size: blob.size, offset, time, day });
+        offset += 30 + nameBytes.length + blob.size;
+    }
+
+    async function finish() {
+        const centralStart = offset;
+        for (const entry of entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.day, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            await sink.write(new Uint8Array(record.buffer));
+            await sink.write(entry.nameBytes);
+            offset += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, offset - centralStart, true);
+        end.setUint32(16, centralStart, true);
+        await sink.write(new Uint8Array(end.buffer));
+    }
+
+    return { addFile, finish };
+}
+
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+let crc32Table = null;
+
+function crc32Update(crc, bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+// 큰 원본도 조각 단위로 읽어 계산
+async function crc32Blob(blob) {
+    const chunkSize = 4 * 1024 * 1024;
+    let crc = 0xFFFFFFFF;
+    for (let start = 0; start < blob.size; start += chunkSize) {
+        const buffer = await blob.slice(start, start + chunkSize).arrayBuffer();
+        crc = crc32Update(crc, new Uint8Array(buffer));
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
-function renderTagPicker(searchQuery) {
-    const content = document.getElementById('tagPickerContent');
-    if (!content) return;
+function isZipFile(file) {
+    return /\.zip$/i.test(file.name) || /zip/.test(file.type);
+}
 
-    let html = '';
+// 중앙 디렉터리만 읽고, 각 이미지는 가져올 때 해당 구간만 잘라 읽음
+async function readZipEntries(file) {
+    const tailSize = Math.min(file.size, 22 + 0xFFFF);
+    const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
 
-    if (appState.currentTagPickerTarget === 'search') {
-        // 1. Structured Tags Section
-        html += '<div class="tag-picker-section">';
-        html += '<div class="tag-picker-section-title">구조화 필터</div>';
+    let endOffset = -1;
+    for (let i = tail.byteLength - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('ZIP 파일을 읽을 수 없습니다');
+    }
 
-        for (const [key, config] of Object.entries(appState.structuredTagsConfig)) {
-            const label = config.label;
-            html += `<div class="structured-picker-category"><strong>${label}</strong></div>`;
-            html += '<div class="tag-picker-badges">';
+    const count = tail.getUint16(endOffset + 10, true);
+    const centralSize = tail.getUint32(endOffset + 12, true);
+    const centralStart = tail.getUint32(endOffset + 16, true);
+    const central = new DataView(await file.slice(centralStart, centralStart + centralSize).arrayBuffer());
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+        if (central.getUint32(pos, true) !== 0x02014b50) {
+            throw new Error('ZIP 파일이 손상되었습니다');
+        }
+        const method = central.getUint16(pos + 10, true);
+        const compressedSize = central.getUint32(pos + 20, true);
+        const nameLength = central.getUint16(pos + 28, true);
+        const extraLength = central.getUint16(pos + 30, true);
+        const commentLength = central.getUint16(pos + 32, true);
+        const localOffset = central.getUint32(pos + 42, true);
+        const name = decoder.decode(new Uint8Array(central.buffer, pos + 46, nameLength));
+
+        entries.set(name, { name, method, compressedSize, localOffset });
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
 
-            config.values.forEach(value => {
-                let isSelected = false;
-                const filterValue = appState.structuredFilters[key];
-                if (config.multi) {
-                    isSelected = filterValue.includes(value);
-                } else {
-                    isSelected = filterValue === value;
-                }
+    return entries;
+}
 
-                html += `
-                    <button class="tag-badge ${isSelected ? 'selected' : ''}" 
-                            onclick="selectStructuredFilter('${key}', '${value}')">
-                        ${value}
-                    </button>
-                `;
-            });
+async function readZipEntry(file, entry, type = '') {
+    const local = new DataView(await file.slice(entry.localOffset, entry.localOffset + 30).arrayBuffer());
+    if (local.getUint32(0, true) !== 0x04034b50) {
+        throw new Error(`ZIP 항목을 읽을 수 없습니다: ${entry.name}`);
+    }
+    const dataStart = entry.localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    const data = file.slice(dataStart, dataStart + entry.compressedSize, type);
 
-            html += '</div>';
-        }
+    if (entry.method === 0) return data;
+    if (entry.method === 8 && window.DecompressionStream) {
+        const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Blob([await new Response(stream).blob()], { type });
+    }
+    throw new Error(`지원하지 않는 압축 방식입니다: ${entry.name}`);
+}
 
-        html += '</div>';
+async function readZipBackup(file) {
+    const entries = await readZipEntries(file);
+    const metadataEntry = entries.get('metadata.json');
+    if (!metadataEntry) {
+        throw new Error('metadata.json이 없습니다');
+    }
 
-        // 2. Free Tags Section
-        html += '<div class="tag-picker-section">';
-        html += '<div class="tag-picker-section-title">자유 태그</div>';
-        html += '<div class="tag-picker-badges">';
+    const data = JSON.parse(await (await readZipEntry(file, metadataEntry)).text());
+    if (!Array.isArray(data.images)) {
+        throw new Error('백업 파일 형식이 아닙니다');
+    }
 
-        appState.allFreeTags.filter(tag => !searchQuery || tag.toLowerCase().includes(searchQuery)).forEach(tag => {
-            html += `
-                <button class="tag-badge ${appState.activeFreeTags.includes(tag) ? 'selected' : ''}" 
-                        onclick="selectFreeTag('${tag}')">
-                    ${tag}
-                </button>
-            `;
-        });
+    const typeOf = (name) => Object.keys(IMAGE_EXTENSIONS).find(type => name.toLowerCase().endsWith('.' + IMAGE_EXTENSIONS[type])) || '';
+
+    return {
+        version: data.version,
+        images: data.images.map(meta => {
+            const { file: imageFile, thumbnailFile, ...record } = meta;
+            return {
+                record,
+                getOriginal: async () => {
+                    const entry = entries.get(imageFile);
+                    if (!entry) return null;
+                    const original = await readZipEntry(file, entry, typeOf(imageFile));
+                    if (!record.thumbnail && thumbnailFile && entries.has(thumbnailFile)) {
+                        record.thumbnail = await fileToDataURL(await readZipEntry(file, entries.get(thumbnailFile), 'image/jpeg'));
+                    }
+                    return original;
+                },
+            };
+        }),
+        freeTags: data.freeTags || [],
+        structuredTagsConfig: data.structuredTagsConfig || null,
+        savedSearches: data.savedSearches || [],
+        tagHierarchy: data.tagHierarchy || null,
+        collections: data.collections || [],
+        looks: data.looks || [],
+    };
+}
 
-        html += '</div>';
-        html += '</div>';
+// ====== Import Wizard ======
+const SUPPORTED_BACKUP_VERSIONS = [2, ZIP_BACKUP_VERSION];
 
-        // 3. New Free Tag Option
-        if (searchQuery && !appState.allFreeTags.includes(searchQuery)) {
-            html += `
-                <div class="tag-picker-section">
-                    <button class="tag-badge-new" onclick="createNewFreeTag('${searchQuery}')">
-                        + '${searchQuery}' 태그 만들기
-                    </button>
-                </div>
-            `;
-        }
-    } else if (appState.currentTagPickerTarget === 'edit') {
-        // Edit mode: only free tags
-        html += '<div class="tag-picker-section">';
-        html += '<div class="tag-picker-section-title">자유 태그</div>';
-        html += '<div class="tag-picker-badges">';
+function validateBackup(backup) {
+    if (!SUPPORTED_BACKUP_VERSIONS.includes(backup.version)) {
+        throw new Error(`지원하지 않는 백업 버전입니다 (${backup.version ?? '없음'})`);
+    }
 
-        appState.allFreeTags.filter(tag => !searchQuery || tag.toLowerCase().includes(searchQuery)).forEach(tag => {
-            const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
-            const isSelected = image && image.freeTags.includes(tag);
+    // 필수 필드가 없는 이미지는 제외하고 개수만 알려줌
+    const isValid = ({ record }) =>
+        record && typeof record.id === 'number' &&
+        Array.isArray(record.freeTags) &&
+        record.structuredTags && typeof record.structuredTags === 'object' &&
+        typeof record.createdAt === 'string';
+    backup.invalidCount = backup.images.filter(item => !isValid(item)).length;
+    backup.images = backup.images.filter(isValid);
+
+    backup.savedSearches = (Array.isArray(backup.savedSearches) ? backup.savedSearches : []).filter(search =>
+        search && typeof search.id === 'number' && typeof search.name === 'string' &&
+        search.structuredFilters && typeof search.structuredFilters === 'object' &&
+        Array.isArray(search.activeFreeTags));
+
+    backup.tagHierarchy = normalizeTagHierarchy(backup.tagHierarchy);
+
+    backup.collections = (Array.isArray(backup.collections) ? backup.collections : []).filter(collection =>
+        collection && typeof collection.id === 'number' && typeof collection.name === 'string' &&
+        Array.isArray(collection.imageIds));
+
+    backup.looks = (Array.isArray(backup.looks) ? backup.looks : []).filter(look =>
+        look && typeof look.id === 'number' && typeof look.name === 'string' &&
+        look.items && typeof look.items === 'object');
+}
 
-            html += `
-                <button class="tag-badge ${isSelected ? 'selected' : ''}" 
-                        onclick="selectFreeTagInEdit('${tag}')">
-                    ${tag}
-                </button>
-            `;
-        });
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
 
-        html += '</div>';
-        html += '</div>';
+// 썸네일은 ZIP에 없을 수 있어 비교에서 제외
+function isSameImageRecord(a, b) {
+    const { thumbnail: ta, original: oa, ...restA } = a;
+    const { thumbnail: tb, original: ob, ...restB } = b;
+    return canonicalJSON(restA) === canonicalJSON(restB);
+}
 
-        // New tag option
-        if (searchQuery && !appState.allFreeTags.includes(searchQuery)) {
-            html += `
-                <div class="tag-picker-section">
-                    <button class="tag-badge-new" onclick="createNewFreeTagInEdit('${searchQuery}')">
-                        + '${searchQuery}' 태그 만들기
-                    </button>
-                </div>
-            `;
+function analyzeImport(backup) {
+    const localById = new Map(appState.allImages.map(img => [img.id, img]));
+    const analysis = { newImages: [], identical: [], conflicting: [], newCategories: [], changedCategories: [], newFreeTags: [], newSavedSearches: [], newCollections: [], newLooks: [], newTagRelations: 0 };
+
+    backup.images.forEach(item => {
+        const local = localById.get(item.record.id);
+        if (!local) {
+            analysis.newImages.push(item);
+        } else if (isSameImageRecord(local, item.record)) {
+            analysis.identical.push(item);
+        } else {
+            analysis.conflicting.push(item);
+        }
+    });
+
+    for (const [key, config] of Object.entries(backup.structuredTagsConfig || {})) {
+        const local = appState.structuredTagsConfig[key];
+        if (!local) {
+            analysis.newCategories.push(key);
+        } else if (canonicalJSON(local) !== canonicalJSON(config)) {
+            analysis.changedCategories.push(key);
         }
     }
 
-    content.innerHTML = html;
+    analysis.newFreeTags = backup.freeTags.filter(tag => !appState.allFreeTags.includes(tag));
+
+    // 같은 ID나 같은 이름이 이미 있으면 기존 것을 유지
+    analysis.newSavedSearches = backup.savedSearches.filter(search =>
+        !appState.savedSearches.some(local => local.id === search.id || local.name === search.name));
+    analysis.newCollections = backup.collections.filter(collection =>
+        !appState.collections.some(local => local.id === collection.id || local.name === collection.name));
+    analysis.newLooks = backup.looks.filter(look => !appState.looks.some(local => local.id === look.id));
+    analysis.newTagRelations = countNewTagRelations(appState.tagHierarchy, backup.tagHierarchy);
+    return analysis;
 }
 
-function selectStructuredFilter(key, value) {
-    const config = appState.structuredTagsConfig[key];
-    if (config.multi) {
-        const index = appState.structuredFilters[key].indexOf(value);
-        if (index !== -1) {
-            appState.structuredFilters[key].splice(index, 1);
-        } else {
-            appState.structuredFilters[key].push(value);
+function renderImportWizard() {
+    const pending = appState.pendingImport;
+    const container = document.getElementById('importSummary');
+    if (!pending || !container) return;
+
+    const { backup, analysis, options } = pending;
+    const isMerge = options.mode === 'merge';
+
+    const radio = (name, value, label) => `
+        <label class="import-option">
+            <input type="radio" name="import-${name}" value="${value}" ${options[name] === value ? 'checked' : ''}
+                   onchange="setImportOption('${name}', '${value}')">
+            ${label}
+        </label>
+    `;
+    const row = (label, count) => `
+        <div class="info-row">
+            <span>${label}</span>
+            <span>${count}개</span>
+        </div>
+    `;
+
+    let html = `
+        <div class="import-section">
+            <div class="import-options">
+                ${radio('mode', 'merge', '기존 데이터와 병합')}
+                ${radio('mode', 'replace', '기존 데이터 모두 지우고 교체')}
+            </div>
+        </div>
+        <div class="import-section">
+            <h3>이미지 (백업 ${backup.images.length}개)</h3>
+            ${row('새 이미지', isMerge ? analysis.newImages.length : backup.images.length)}
+    `;
+
+    if (isMerge) {
+        html += row('동일한 이미지', analysis.identical.length);
+        if (analysis.identical.length > 0) {
+            html += `<div class="import-options">
+                ${radio('identical', 'keepLocal', '건너뛰기')}
+                ${radio('identical', 'keepBoth', '둘 다 유지 (복사본 추가)')}
+            </div>`;
+        }
+        html += row('내용이 다른 이미지 (같은 ID)', analysis.conflicting.length);
+        if (analysis.conflicting.length > 0) {
+            html += `<div class="import-options">
+                ${radio('conflicting', 'keepLocal', '기존 유지')}
+                ${radio('conflicting', 'takeImported', '가져온 것으로 교체')}
+                ${radio('conflicting', 'keepBoth', '둘 다 유지')}
+            </div>`;
         }
-    } else {
-        appState.structuredFilters[key] = appState.structuredFilters[key] === value ? null : value;
     }
-    applyFilters();
-    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+    if (backup.invalidCount > 0) {
+        html += row('형식 오류 (제외)', backup.invalidCount);
+    }
+    html += '</div>';
+
+    html += `
+        <div class="import-section">
+            <h3>구조화 태그 카테고리</h3>
+            ${row('새 카테고리', isMerge ? analysis.newCategories.length : Object.keys(backup.structuredTagsConfig || {}).length)}
+    `;
+    if (isMerge) {
+        const changedLabels = analysis.changedCategories.map(key => appState.structuredTagsConfig[key].label).join(', ');
+        html += row('설정이 다른 카테고리', analysis.changedCategories.length);
+        if (analysis.changedCategories.length > 0) {
+            html += `<p class="import-detail">${changedLabels}</p>
+            <div class="import-options">
+                ${radio('categories', 'keepLocal', '기존 유지')}
+                ${radio('categories', 'takeImported', '가져온 것으로 교체')}
+                ${radio('categories', 'keepBoth', '값 합치기')}
+            </div>`;
+        }
+    }
+    html += row('새 자유 태그', isMerge ? analysis.newFreeTags.length : backup.freeTags.length);
+    html += row('새 저장된 검색', isMerge ? analysis.newSavedSearches.length : backup.savedSearches.length);
+    html += row('새 태그 관계 (상위·별칭)', isMerge ? analysis.newTagRelations : countNewTagRelations(null, backup.tagHierarchy));
+    html += row('새 컬렉션', isMerge ? analysis.newCollections.length : backup.collections.length);
+    html += row('새 코디', isMerge ? analysis.newLooks.length : backup.looks.length);
+    html += '</div>';
+
+    container.innerHTML = html;
 }
 
-function selectFreeTag(tag) {
-    const index = appState.activeFreeTags.indexOf(tag);
-    if (index !== -1) {
-        appState.activeFreeTags.splice(index, 1);
-    } else {
-        appState.activeFreeTags.push(tag);
-    }
-    applyFilters();
-    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+function setImportOption(name, value) {
+    if (!appState.pendingImport) return;
+    appState.pendingImport.options[name] = value;
+    renderImportWizard();
 }
 
-function selectFreeTagInEdit(tag) {
-    const image = appState.allImages.find(img => img.id === appState.currentEditImageId);
-    if (!image) return;
+function cancelImport() {
+    appState.pendingImport = null;
+    closeModal('importModal');
+}
 
-    const index = image.freeTags.indexOf(tag);
-    if (index !== -1) {
-        image.freeTags.splice(index, 1);
-    } else {
-        image.freeTags.push(tag);
-    }
+// 상위 태그 지정 + 별칭 하나하나를 관계 하나로 셈
+function countNewTagRelations(local, imported) {
+    const base = local || { parents: {}, aliases: {} };
+    const newParents = Object.keys(imported.parents).filter(child => !(child in base.parents)).length;
+    const newAliases = Object.entries(imported.aliases)
+        .reduce((sum, [tag, list]) => sum + list.filter(alias => !(base.aliases[tag] || []).includes(alias)).length, 0);
+    return newParents + newAliases;
+}
 
-    renderEditFreeTags(image.freeTags);
-    renderTagPicker(document.getElementById('tagPickerSearch')?.value.toLowerCase() || '');
+// 병합: 상위 태그가 겹치면 기존 것을 유지, 별칭은 합침
+function mergeTagHierarchies(local, imported) {
+    const aliases = { ...local.aliases };
+    Object.entries(imported.aliases).forEach(([tag, list]) => {
+        aliases[tag] = [...new Set([...(aliases[tag] || []), ...list])];
+    });
+    return { parents: { ...imported.parents, ...local.parents }, aliases };
 }
 
-async function createNewFreeTag(tag) {
-    const trimmed = tag.trim();
-    if (!appState.allFreeTags.includes(trimmed)) {
-        appState.allFreeTags.push(trimmed);
-        appState.allFreeTags.sort();
-        await dbSaveFreeTags(appState.allFreeTags);
-    }
-    selectFreeTag(trimmed);
+function mergeCategoryConfigs(local, imported) {
+    // 필드 카테고리는 합칠 값 목록이 없고, 종류가 다르면 지금 설정을 유지
+    if (!isChoiceCategory(local) || !isChoiceCategory(imported)) return local;
+    const values = [...local.values];
+    imported.values.forEach(v => {
+        if (!values.includes(v)) values.push(v);
+    });
+    return { ...local, values, multi: local.multi || imported.multi };
 }
 
-async function createNewFreeTagInEdit(tag) {
-    const trimmed = tag.trim();
-    if (!appState.allFreeTags.includes(trimmed)) {
-        appState.allFreeTags.push(trimmed);
-        appState.allFreeTags.sort();
-        await dbSaveFreeTags(appState.allFreeTags);
+// 가져오기 결과(설정, 쓸 이미지 목록)를 계산
+function buildImportPlan(pending) {
+    const { backup, analysis, options } = pending;
+    const replace = options.mode === 'replace';
+    const importedConfig = backup.structuredTagsConfig || {};
+
+    let config;
+    if (replace) {
+        config = Object.keys(importedConfig).length > 0 ? { ...importedConfig } : { ...appState.structuredTagsConfig };
+    } else {
+        config = { ...appState.structuredTagsConfig };
+        analysis.newCategories.forEach(key => {
+            config[key] = importedConfig[key];
+        });
+        analysis.changedCategories.forEach(key => {
+            if (options.categories === 'takeImported') {
+                config[key] = importedConfig[key];
+            } else if (options.categories === 'keepBoth') {
+                config[key] = mergeCategoryConfigs(config[key], importedConfig[key]);
+            }
+        });
     }
-    selectFreeTagInEdit(trimmed);
-}
 
-// ====== Settings ======
-function exportData() {
-    const data = {
-        version: 2,
-        images: appState.allImages,
-        freeTags: appState.allFreeTags,
-        structuredTagsConfig: appState.structuredTagsConfig
+    const usedIds = new Set(replace ? [] : appState.allImages.map(img => img.id));
+    backup.images.forEach(item => usedIds.add(item.record.id));
+    // 펼쳐서 넘기면 이미지가 많을 때 인자 수 한도를 넘으므로 reduce로 최댓값을 구함
+    let nextId = [...usedIds].reduce((max, id) => Math.max(max, id), Date.now()) + 1;
+    const copiedIds = new Map();   // 백업 ID → 복사본 ID (가져온 컬렉션의 소속을 복사본으로 연결)
+    const copyOf = (item) => {
+        copiedIds.set(item.record.id, nextId);
+        return { ...item, record: { ...item.record, id: nextId++ } };
     };
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `outfit-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-    showToast('내보냄');
+
+    let writes;
+    if (replace) {
+        writes = backup.images;
+    } else {
+        writes = [...analysis.newImages];
+        if (options.identical === 'keepBoth') writes.push(...analysis.identical.map(copyOf));
+        if (options.conflicting === 'takeImported') writes.push(...analysis.conflicting);
+        if (options.conflicting === 'keepBoth') writes.push(...analysis.conflicting.map(copyOf));
+    }
+
+    const freeTags = replace
+        ? [...new Set(backup.freeTags)]
+        : [...new Set([...appState.allFreeTags, ...backup.freeTags])];
+    writes.forEach(({ record }) => record.freeTags.forEach(tag => {
+        if (!freeTags.includes(tag)) freeTags.push(tag);
+    }));
+    freeTags.sort();
+
+    const savedSearches = replace
+        ? backup.savedSearches
+        : [...appState.savedSearches, ...analysis.newSavedSearches];
+    // 관계는 최종 태그 목록 기준으로 정리 (병합으로 생긴 순환도 여기서 제거)
+    const tagHierarchy = normalizeTagHierarchy(
+        replace ? backup.tagHierarchy : mergeTagHierarchies(appState.tagHierarchy, backup.tagHierarchy),
+        freeTags
+    );
+
+    // 가져온 컬렉션·코디는 최종적으로 남는 이미지만 가리키도록 정리
+    const finalIds = new Set([...(replace ? [] : appState.allImages.map(img => img.id)), ...writes.map(({ record }) => record.id)]);
+    const importedCollections = (replace ? backup.collections : analysis.newCollections).map(collection => ({
+        ...collection,
+        imageIds: [...new Set(collection.imageIds.map(id => copiedIds.get(id) ?? id))].filter(id => finalIds.has(id)),
+    }));
+    const collections = replace ? importedCollections : [...appState.collections, ...importedCollections];
+
+    const importedLooks = (replace ? backup.looks : analysis.newLooks).map(look => ({
+        ...look,
+        items: Object.fromEntries(Object.entries(look.items)
+            .map(([slot, id]) => [slot, copiedIds.get(id) ?? id])
+            .filter(([, id]) => finalIds.has(id))),
+    }));
+    const looks = replace ? importedLooks : [...appState.looks, ...importedLooks];
+
+    return { replace, config, writes, freeTags, savedSearches, tagHierarchy, collections, looks };
 }
 
-function importData(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+async function applyImport() {
+    const pending = appState.pendingImport;
+    if (!pending) return;
 
-    const reader = new FileReader();
-    reader.onload = async (event) => {
-        try {
-            const data = JSON.parse(event.target.result);
-            const merge = confirm('기존과 병합?');
+    const plan = buildImportPlan(pending);
+    // localStorage에 있는 설정은 실패 시 되돌릴 수 있게 보관
+    const previousSettings = ['structuredTagsConfig', 'savedSearches', 'tagHierarchy']
+        .map(key => [key, localStorage.getItem(key)]);
+    closeModal('importModal');
 
-            if (!merge) {
-                await dbClearAll();
-                appState.allImages = [];
-                appState.allFreeTags = [];
+    try {
+        // 원본과 썸네일은 트랜잭션 밖에서 먼저 준비 (IndexedDB 트랜잭션은 await 중에 닫힘)
+        showProgress(plan.writes.length);
+        const prepared = [];
+        for (let i = 0; i < plan.writes.length; i++) {
+            const { record, getOriginal } = plan.writes[i];
+            const original = await getOriginal();
+            if ((!record.thumbnail || !record.phash) && original) {
+                const { thumbnail, phash } = await generateThumbnailFromBlob(original);
+                record.thumbnail = record.thumbnail || thumbnail;
+                record.phash = record.phash || phash;
             }
+            prepared.push({ record, original });
+            updateProgress(i + 1, plan.writes.length);
+        }
 
-            if (data.structuredTagsConfig) {
-                appState.structuredTagsConfig = { ...appState.structuredTagsConfig, ...data.structuredTagsConfig };
-                saveStructuredTagsConfig();
+        localStorage.setItem('structuredTagsConfig', JSON.stringify(plan.config));
+        localStorage.setItem('savedSearches', JSON.stringify(plan.savedSearches));
+        localStorage.setItem('tagHierarchy', JSON.stringify(plan.tagHierarchy));
+        await dbApplyImport(plan.replace, prepared, {
+            freeTags: plan.freeTags,
+            collections: plan.collections,
+            looks: plan.looks,
+        });
+    } catch (error) {
+        // 이미지 쪽은 트랜잭션이 중단되며 되돌려지고, 설정은 여기서 복원
+        previousSettings.forEach(([key, value]) => {
+            if (value !== null) {
+                localStorage.setItem(key, value);
+            } else {
+                localStorage.removeItem(key);
             }
+        });
+        hideProgress();
+        appState.pendingImport = null;
+        showToast('실패 (변경 없음): ' + error.message);
+        return;
+    }
 
-            appState.allImages = [...appState.allImages, ...data.images];
-            appState.allFreeTags = [...new Set([...appState.allFreeTags, ...(data.freeTags || [])])];
+    hideProgress();
+    appState.pendingImport = null;
+    await loadAllData();
+    loadStructuredTagsConfig();
+    renderArchiveGrid();
+    applyFilters();
+    showToast(`${plan.writes.length}개 가져옴`);
+}
 
-            await dbSaveFreeTags(appState.allFreeTags);
-            for (const image of data.images) {
-                await dbSaveImage(image);
-            }
+// ====== PWA (Service Worker & Share Target) ======
+const SHARE_CACHE_NAME = 'outfit-archive-share';
 
-            await loadAllData();
-            loadStructuredTagsConfig();
-            renderArchiveGrid();
-            applyFilters();
-            showToast('가져옴');
-        } catch (error) {
-            showToast('실패: ' + error.message);
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    // 첫 설치 때의 controllerchange에서는 새로고침하지 않음
+    const hadController = !!navigator.serviceWorker.controller;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
         }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+    }).catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+function showUpdateBanner(worker) {
+    const banner = document.getElementById('updateBanner');
+    const reloadBtn = document.getElementById('updateReloadBtn');
+    if (!banner || !reloadBtn) return;
+
+    banner.style.display = 'flex';
+    reloadBtn.onclick = () => {
+        reloadBtn.disabled = true;
+        worker.postMessage('SKIP_WAITING');
     };
-    reader.readAsText(file);
-    e.target.value = '';
 }
 
-async function resetAll() {
-    await dbClearAll();
-    appState.allImages = [];
-    appState.allFreeTags = [];
-    localStorage.clear();
-    location.reload();
+// sw.js가 공유 대상(share target)으로 받은 이미지를 캐시에 넣고 ?shared=1로 열어 줌
+async function importSharedFiles() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('shared') || !('caches' in window)) return;
+
+    history.replaceState(null, '', location.pathname);
+
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    const requests = await cache.keys();
+    const files = [];
+
+    for (const request of requests) {
+        const response = await cache.match(request);
+        if (response) {
+            const blob = await response.blob();
+            const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared');
+            files.push(new File([blob], name, { type: blob.type }));
+        }
+        await cache.delete(request);
+    }
+
+    if (files.length > 0) {
+        switchTab('archive');
+        await handleFiles(files);
+    }
 }
 
 // ====== UI Helpers ======
+// 사용자가 직접 입력한 텍스트를 HTML 속성·본문에 넣을 때
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
 function openModal(id) {
     const modal = document.getElementById(id);
     if (modal) modal.classList.add('active');
@@ -1311,17 +8415,52 @@ function openModal(id) {
 function closeModal(id) {
     const modal = document.getElementById(id);
     if (modal) modal.classList.remove('active');
+    if (id === 'editModal') revokeEditPreview();
+}
+
+function showProgress(total) {
+    updateProgress(0, total);
+    document.getElementById('progressOverlay').style.display = 'flex';
+}
+
+function updateProgress(done, total) {
+    document.getElementById('progressFill').style.width = (total ? done / total * 100 : 0) + '%';
+    document.getElementById('progressText').textContent = `${done} / ${total}`;
 }
 
-function showToast(message) {
+function hideProgress() {
+    document.getElementById('progressOverlay').style.display = 'none';
+}
+
+let toastTimer = null;
+
+// undo를 주면 "실행 취소" 버튼을 붙이고 더 오래 보여줌 (새 토스트가 뜨면 이전 작업은 되돌릴 수 없음)
+function showToast(message, undo = null) {
     const toast = document.getElementById('toast');
     if (!toast) return;
 
     toast.textContent = message;
+    if (undo) {
+        const button = document.createElement('button');
+        button.className = 'toast-undo';
+        button.textContent = '실행 취소';
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            toast.classList.remove('show');
+            try {
+                await undo();
+            } catch (error) {
+                console.error('Undo error:', error);
+                showToast('되돌리지 못했어요');
+            }
+        });
+        toast.appendChild(button);
+    }
     toast.classList.add('show');
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 2000);
+    }, undo ? UNDO_TOAST_MS : 2000);
 }
 
 function updateInfoDisplay() {
@@ -1369,27 +8508,38 @@ async function deleteFreeTags(tag) {
         if (!confirm(`이 태그가 ${count}개 이미지에 적용되어 있습니다.\n삭제하시겠습니까?`)) {
             return;
         }
-        // 모든 이미지에서 이 태그 제거
-        appState.allImages.forEach(img => {
-            img.freeTags = img.freeTags.filter(t => t !== tag);
-        });
-        // 각 이미지 업데이트
-        for (const img of appState.allImages) {
-            await dbUpdateImage(img);
-        }
     } else {
         if (!confirm(`'${tag}'을 삭제하시겠습니까?`)) {
             return;
         }
     }
 
-    appState.allFreeTags = appState.allFreeTags.filter(t => t !== tag);
-    delete appState.freeTagFrequency[tag];
-    await dbSaveFreeTags(appState.allFreeTags);
-    
+    // 모든 이미지에서 이 태그 제거 - 이미지와 태그 목록을 한 트랜잭션으로 저장
+    const before = appState.allImages.filter(img => img.freeTags.includes(tag)).map(img => [img, [...img.freeTags]]);
+    const without = tags => tags.filter(t => t !== tag);
+    await dbUpdateImages(before.map(([img]) => ({ ...img, freeTags: without(img.freeTags) })), { freeTags: without(appState.allFreeTags) });
+
+    before.forEach(([img]) => { img.freeTags = without(img.freeTags); });
+    appState.allFreeTags = without(appState.allFreeTags);
+    const relations = forgetFreeTagInHierarchy(tag);
+    refreshAfterFreeTagChange();
+
+    showToast('삭제됨', async () => {
+        // 그 사이 휴지통으로 간 이미지는 건드리지 않음
+        const alive = before.filter(([img]) => appState.allImages.includes(img));
+        const tags = [...new Set([...appState.allFreeTags, tag])].sort();
+        await dbUpdateImages(alive.map(([img, freeTags]) => ({ ...img, freeTags })), { freeTags: tags });
+        alive.forEach(([img, freeTags]) => { img.freeTags = freeTags; });
+        appState.allFreeTags = tags;
+        restoreFreeTagInHierarchy(tag, relations);
+        refreshAfterFreeTagChange();
+        showToast(`'${tag}' 되돌림`);
+    });
+}
+
+function refreshAfterFreeTagChange() {
+    recalculateFreeTagFrequency();
     renderTagsList();
     applyFilters();
-    renderSearchGrid();
     updateInfoDisplay();
-    showToast('삭제됨');
 }
\ No newline at end of file
@@ -0,0 +1,82 @@
+// ====== Outfit Archive Service Worker ======
+// 앱 파일(index.html, app.js, styles.css 등)을 바꿔 배포할 때 CACHE_VERSION을 올려야
+// 새 워커가 설치되고 앱에 "업데이트" 안내가 표시됨
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `outfit-archive-${CACHE_VERSION}`;
+const SHARE_CACHE_NAME = 'outfit-archive-share';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './app.js',
+    './styles.css',
+    './manifest.webmanifest',
+    './icon.svg',
+    './icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== CACHE_NAME && key !== SHARE_CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// 앱에서 "업데이트"를 누르면 대기 중인 워커를 바로 활성화
+self.addEventListener('message', (event) => {
+    if (event.data === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) return;
+
+    if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(handleShareTarget(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' })
+            .then(cached => cached || fetch(request))
+            .catch(() => caches.match('./index.html'))
+    );
+});
+
+// 공유받은 이미지를 캐시에 잠시 보관하고 앱으로 이동 (앱이 꺼내서 handleFiles로 저장)
+async function handleShareTarget(request) {
+    const formData = await request.formData();
+    const files = formData.getAll('images').filter(file => file instanceof File && file.type.startsWith('image/'));
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    const stamp = Date.now();
+
+    await Promise.all(files.map((file, i) =>
+        cache.put(`./shared/${stamp}-${i}`, new Response(file, {
+            headers: {
+                'Content-Type': file.type,
+                'X-File-Name': encodeURIComponent(file.name || `shared-${i}`)
+            }
+        }))
+    ));
+
+    return Response.redirect(new URL('./?shared=1', self.registration.scope).href, 303);
+}